@@ -0,0 +1,172 @@
+// lib/codec.js – Audio formats, G.711 μ-law and streaming resampling
+// - parseAudioFormat('pcm_22050') -> { encoding: 'pcm', sampleRate: 22050 }
+// - createResampler(): rational polyphase FIR (windowed-sinc low-pass), stateful across chunks
+// - createOutputConverter(): EL agent audio (any supported format) -> μ-law 8k for Twilio
+// - createInputConverter(): Twilio μ-law 8k -> whatever input format the agent requested
+//
+// PCM is signed 16-bit little-endian mono, as ElevenLabs sends and expects it.
+
+const TELEPHONY_RATE = 8000;
+const DEFAULT_FORMAT = 'pcm_16000'; // what EL uses when metadata doesn't say
+const FORMAT_RE = /^(ulaw|mulaw|pcm)_?(\d{4,6})$/i;
+
+// ---------- G.711 μ-law
+
+const MULAW_BIAS = 0x84, MULAW_CLIP = 32635;
+const MULAW_DECODE = new Int16Array(256);
+const MULAW_EXP = new Uint8Array(256);
+
+for (let i = 0; i < 256; i++) {
+  const u = ~i & 0xFF;
+  const sign = u & 0x80, exponent = (u >> 4) & 0x07, mantissa = u & 0x0F;
+  const sample = (((mantissa << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+  MULAW_DECODE[i] = sign ? -sample : sample;
+  MULAW_EXP[i] = i ? Math.floor(Math.log2(i)) : 0;
+}
+
+function linearToMuLaw(sample) {
+  const sign = (sample >> 8) & 0x80;
+  if (sign) sample = -sample;
+  if (sample > MULAW_CLIP) sample = MULAW_CLIP;
+  sample += MULAW_BIAS;
+  const exponent = MULAW_EXP[(sample >> 7) & 0xFF];
+  const mantissa = (sample >> (exponent + 3)) & 0x0F;
+  return ~(sign | (exponent << 4) | mantissa) & 0xFF;
+}
+
+function muLawToPcm16(muBuf) {
+  const out = new Int16Array(muBuf.length);
+  for (let i = 0; i < muBuf.length; i++) out[i] = MULAW_DECODE[muBuf[i]];
+  return out;
+}
+
+function pcm16ToMuLaw(samples) {
+  const out = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) out[i] = linearToMuLaw(samples[i]);
+  return out;
+}
+
+// ---------- Formats
+
+function parseAudioFormat(fmt) {
+  const m = FORMAT_RE.exec(String(fmt || '').trim());
+  if (!m) return null;
+  return { encoding: m[1].toLowerCase() === 'pcm' ? 'pcm' : 'ulaw', sampleRate: parseInt(m[2], 10) };
+}
+
+function formatName(f) { return `${f.encoding}_${f.sampleRate}`; }
+
+// Little-endian bytes <-> Int16Array, copying so odd byteOffsets are safe
+function bytesToPcm16(buf) {
+  const out = new Int16Array(buf.length >> 1);
+  for (let i = 0; i < out.length; i++) out[i] = buf.readInt16LE(i * 2);
+  return out;
+}
+
+function pcm16ToBytes(samples) {
+  const out = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) out.writeInt16LE(samples[i], i * 2);
+  return out;
+}
+
+// ---------- Resampling
+
+function gcd(a, b) { while (b) [a, b] = [b, a % b]; return a; }
+
+// Rational L/M polyphase resampler. Output sample m sits at upsampled index m*M;
+// its phase picks one of L sub-filters, applied to the most recent input samples.
+function createResampler(inRate, outRate, { taps = 32 } = {}) {
+  if (inRate === outRate) return { inRate, outRate, process: x => x };
+
+  const g = gcd(inRate, outRate);
+  const L = outRate / g, M = inRate / g;
+  // Decimating filters must span proportionally more input samples
+  const tapsPerPhase = Math.ceil(taps * Math.max(1, M / L));
+  const N = L * tapsPerPhase;
+  // Low-pass at 90% of the lower Nyquist, designed at the upsampled rate L*inRate
+  const fc = 0.9 * Math.min(inRate, outRate) / 2 / (L * inRate);
+  const phases = [];
+  for (let p = 0; p < L; p++) phases.push(new Float64Array(tapsPerPhase));
+  const mid = (N - 1) / 2;
+  for (let i = 0; i < N; i++) {
+    const x = i - mid;
+    const sinc = x === 0 ? 2 * fc : Math.sin(2 * Math.PI * fc * x) / (Math.PI * x);
+    const win = 0.42 - 0.5 * Math.cos(2 * Math.PI * i / (N - 1)) + 0.08 * Math.cos(4 * Math.PI * i / (N - 1));
+    phases[i % L][Math.floor(i / L)] = L * sinc * win;
+  }
+
+  const H = tapsPerPhase - 1;
+  let hist = new Float64Array(H); // last H input samples from previous chunks
+  let t = 0;                      // upsampled index of the next output, relative to this chunk
+
+  function process(x) {
+    const n = x.length;
+    const out = new Int16Array(Math.max(0, Math.ceil((n * L - t) / M)));
+    let count = 0;
+    const at = j => (j >= 0 ? x[j] : hist[H + j]);
+    for (let base = Math.floor(t / L); base < n; base = Math.floor(t / L)) {
+      const h = phases[t - base * L];
+      let acc = 0;
+      for (let k = 0; k < tapsPerPhase; k++) acc += h[k] * at(base - k);
+      out[count++] = acc > 32767 ? 32767 : acc < -32768 ? -32768 : Math.round(acc);
+      t += M;
+    }
+    t -= n * L;
+    const next = new Float64Array(H);
+    for (let k = 0; k < H; k++) next[k] = at(n - H + k);
+    hist = next;
+    return count === out.length ? out : out.subarray(0, count);
+  }
+
+  return { inRate, outRate, L, M, process };
+}
+
+// ---------- Stream converters
+
+// Agent output -> μ-law 8k. Carries an odd trailing byte into the next chunk.
+function createOutputConverter(fmt) {
+  const format = parseAudioFormat(fmt) || parseAudioFormat(DEFAULT_FORMAT);
+  if (format.encoding === 'ulaw' && format.sampleRate === TELEPHONY_RATE) {
+    return { format: formatName(format), passthrough: true, push: buf => buf };
+  }
+  const resampler = createResampler(format.sampleRate, TELEPHONY_RATE);
+  let carry = null;
+  return {
+    format: formatName(format),
+    passthrough: false,
+    push(buf) {
+      let samples;
+      if (format.encoding === 'ulaw') {
+        samples = muLawToPcm16(buf);
+      } else {
+        if (carry) { buf = Buffer.concat([carry, buf]); carry = null; }
+        if (buf.length & 1) { carry = Buffer.from(buf.subarray(buf.length - 1)); buf = buf.subarray(0, buf.length - 1); }
+        samples = bytesToPcm16(buf);
+      }
+      return pcm16ToMuLaw(resampler.process(samples));
+    }
+  };
+}
+
+// Caller μ-law 8k -> agent input format
+function createInputConverter(fmt) {
+  const format = parseAudioFormat(fmt) || parseAudioFormat(DEFAULT_FORMAT);
+  if (format.encoding === 'ulaw' && format.sampleRate === TELEPHONY_RATE) {
+    return { format: formatName(format), passthrough: true, push: buf => buf };
+  }
+  const resampler = createResampler(TELEPHONY_RATE, format.sampleRate);
+  return {
+    format: formatName(format),
+    passthrough: false,
+    push(muBuf) {
+      const samples = resampler.process(muLawToPcm16(muBuf));
+      return format.encoding === 'ulaw' ? pcm16ToMuLaw(samples) : pcm16ToBytes(samples);
+    }
+  };
+}
+
+module.exports = {
+  TELEPHONY_RATE, DEFAULT_FORMAT, MULAW_DECODE,
+  parseAudioFormat, linearToMuLaw, muLawToPcm16, pcm16ToMuLaw, bytesToPcm16, pcm16ToBytes,
+  createResampler, createOutputConverter, createInputConverter
+};
@@ -0,0 +1,12 @@
+// lib/config-file.js – Read a JSON or YAML config file (by extension)
+
+const fs = require('fs');
+const path = require('path');
+
+function readConfigFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+  return ext === '.yaml' || ext === '.yml' ? require('yaml').parse(text) : JSON.parse(text);
+}
+
+module.exports = { readConfigFile };
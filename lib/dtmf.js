@@ -0,0 +1,40 @@
+// lib/dtmf.js – Keypad input for one call
+// - Keys collect into an entry until the terminator, maxDigits, or interDigitMs without a key press
+// - A bound key (policy dtmf.bindings, lib/policy.js) fires on its own when it is the first key of an
+//   entry; pressed mid-entry it is an ordinary digit (the terminator still ends the entry)
+
+const DTMF_KEY_RE = /^[0-9*#A-D]$/;
+
+function createDigitCollector({ interDigitMs = 3000, terminator = '#', maxDigits = 20, bindings = {}, onEntry, onBinding }) {
+  let digits = '';
+  let timer = null;
+
+  function finish(reason) {
+    clearTimeout(timer);
+    timer = null;
+    const entry = digits;
+    digits = '';
+    if (entry) onEntry(entry, reason);
+  }
+
+  // false for anything that isn't a keypad key
+  function push(key) {
+    key = String(key || '').trim().toUpperCase();
+    if (!DTMF_KEY_RE.test(key)) return false;
+    if (!digits && bindings[key]) { onBinding(key, bindings[key]); return true; }
+    if (key === terminator) { finish('terminator'); return true; }
+    digits += key;
+    clearTimeout(timer);
+    if (digits.length >= maxDigits) finish('max_digits');
+    else timer = setTimeout(() => finish('timeout'), interDigitMs);
+    return true;
+  }
+
+  return {
+    push,
+    get pending() { return digits; },
+    stop() { clearTimeout(timer); timer = null; digits = ''; }
+  };
+}
+
+module.exports = { createDigitCollector, DTMF_KEY_RE };
@@ -0,0 +1,115 @@
+// lib/limits.js – Admission control for bridge sessions
+// - Concurrency: a global cap plus per-agent caps (default and per-agent overrides)
+// - Rate: calls per caller phone over a sliding window
+// Checked when 'start' arrives (agent and phone are known then); 0 disables a limit.
+// An early connect (before 'start') first reserves a concurrency slot; the session releases it
+// just before admit(), so pre-warmed sockets never exceed the caps. Reservations skip the rate check.
+//
+// Env:
+//   MAX_CONCURRENT_SESSIONS=0 MAX_SESSIONS_PER_AGENT=0 (optional)
+//   AGENT_SESSION_LIMITS=agent_abc:5,agent_def:2 (optional; overrides MAX_SESSIONS_PER_AGENT)
+//   CALLER_RATE_LIMIT_MAX=0 CALLER_RATE_LIMIT_WINDOW_MS=600000 (optional; calls per phone per window)
+
+const MAX_TRACKED_PHONES = 10_000;
+
+function parseAgentLimits(spec) {
+  const out = {};
+  for (const part of String(spec || '').split(',')) {
+    const i = part.lastIndexOf(':');
+    if (i <= 0) continue;
+    const n = parseInt(part.slice(i + 1), 10);
+    if (Number.isFinite(n) && n >= 0) out[part.slice(0, i).trim()] = n;
+  }
+  return out;
+}
+
+function createLimiter(env = process.env) {
+  const maxSessions = parseInt(env.MAX_CONCURRENT_SESSIONS || '0', 10);
+  const maxPerAgent = parseInt(env.MAX_SESSIONS_PER_AGENT || '0', 10);
+  const agentLimits = parseAgentLimits(env.AGENT_SESSION_LIMITS);
+  const rateMax = parseInt(env.CALLER_RATE_LIMIT_MAX || '0', 10);
+  const rateWindowMs = parseInt(env.CALLER_RATE_LIMIT_WINDOW_MS || '600000', 10);
+
+  let active = 0;
+  let reserved = 0;             // slots held by early connects (included in active)
+  const perAgent = new Map();   // agentId -> active sessions
+  const callsByPhone = new Map(); // phone -> [start timestamps], oldest first
+  const rejected = { global_limit: 0, agent_limit: 0, rate_limited: 0 };
+
+  const agentCap = agentId => agentLimits[agentId] ?? maxPerAgent;
+
+  // Sliding window: drop timestamps older than the window, then count
+  function checkRate(phone, now) {
+    if (!rateMax || !phone) return { ok: true };
+    const recent = (callsByPhone.get(phone) || []).filter(t => now - t < rateWindowMs);
+    if (recent.length >= rateMax) {
+      callsByPhone.set(phone, recent);
+      return { ok: false, retryAfterMs: rateWindowMs - (now - recent[0]) };
+    }
+    recent.push(now);
+    callsByPhone.delete(phone); // re-insert so Map order tracks recency for eviction
+    callsByPhone.set(phone, recent);
+    if (callsByPhone.size > MAX_TRACKED_PHONES) callsByPhone.delete(callsByPhone.keys().next().value);
+    return { ok: true };
+  }
+
+  // Takes a slot if the concurrency caps allow; release() is idempotent
+  function take(agentId, onRelease) {
+    active++;
+    if (agentId) perAgent.set(agentId, (perAgent.get(agentId) || 0) + 1);
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      active--;
+      if (agentId) {
+        const n = perAgent.get(agentId) - 1;
+        if (n > 0) perAgent.set(agentId, n); else perAgent.delete(agentId);
+      }
+      if (onRelease) onRelease();
+    };
+  }
+
+  function checkConcurrency(agentId) {
+    if (maxSessions && active >= maxSessions) return 'global_limit';
+    const cap = agentId ? agentCap(agentId) : 0;
+    if (cap && (perAgent.get(agentId) || 0) >= cap) return 'agent_limit';
+    return null;
+  }
+
+  // { ok: true, release } or { ok: false, reason, retryAfterMs? }
+  function admit({ agentId, phone }, now = Date.now()) {
+    const over = checkConcurrency(agentId);
+    if (over) { rejected[over]++; return { ok: false, reason: over }; }
+    const rate = checkRate(phone, now);
+    if (!rate.ok) { rejected.rate_limited++; return { ok: false, reason: 'rate_limited', retryAfterMs: rate.retryAfterMs }; }
+    return { ok: true, release: take(agentId) };
+  }
+
+  // Early connect: { ok: true, release } or { ok: false, reason }; not counted as a refusal
+  function reserve({ agentId }) {
+    const over = checkConcurrency(agentId);
+    if (over) return { ok: false, reason: over };
+    reserved++;
+    return { ok: true, release: take(agentId, () => { reserved--; }) };
+  }
+
+  return {
+    admit,
+    reserve,
+    // Totals only unless perAgent is asked for: agent IDs stay off unauthenticated endpoints
+    stats({ perAgent: byAgent = false } = {}) {
+      const out = {
+        active,
+        reserved,
+        maxSessions: maxSessions || null,
+        rejected: { ...rejected },
+        callerRateLimit: rateMax ? { max: rateMax, windowMs: rateWindowMs } : null
+      };
+      if (byAgent) out.perAgent = Object.fromEntries(perAgent);
+      return out;
+    }
+  };
+}
+
+module.exports = { createLimiter, parseAgentLimits };
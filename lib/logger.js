@@ -0,0 +1,99 @@
+// lib/logger.js – Structured logging for the bridge
+// - log(cat, msg, data): one JSON line per call (or the old "[CAT:session:ms] msg {data}" text)
+// - Level comes from the category (ERROR, WARN, chatty per-frame categories are debug)
+//   or is explicit: log.debug() / log.warn() / log.error()
+// - child(fields) adds correlation fields; set(fields) fills them in as they become known
+// - Phone numbers are masked; transcript bodies are dropped unless LOG_TRANSCRIPTS is on
+//
+// Env:
+//   LOG_FORMAT=json|text (optional; default json)
+//   LOG_LEVEL=info (optional; debug|info|warn|error|off)
+//   LOG_LEVELS=EL_SEND=debug,TWILIO_RAW=warn (optional; per-category thresholds)
+//   LOG_REDACT_PHONES=1 (optional; 0 logs full numbers)
+//   LOG_TRANSCRIPTS=0|1 (optional; default 1, or 0 when NODE_ENV=production)
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, off: 100 };
+
+// Categories logged at something other than info
+const CATEGORY_LEVELS = { ERROR: 'error', WARN: 'warn', TWILIO_RAW: 'debug', TWILIO_SEND: 'debug', PCM_RAW: 'debug', AUDIO: 'debug', BUF: 'debug' };
+
+const PHONE_KEYS = new Set(['phone', 'caller_phone', 'from', 'to', 'called', 'caller']);
+const TRANSCRIPT_KEYS = new Set(['transcript']);
+const E164_RE = /\+\d{7,15}\b/g;
+
+function parseLevels(spec) {
+  const out = {};
+  for (const part of String(spec || '').split(',')) {
+    const [cat, level] = part.split('=').map(s => s && s.trim());
+    if (!cat || !level) continue;
+    if (!(level.toLowerCase() in LEVELS)) throw new Error(`LOG_LEVELS: unknown level "${level}" for ${cat}`);
+    out[cat.toUpperCase()] = level.toLowerCase();
+  }
+  return out;
+}
+
+// "+15551234567" -> "+*******4567"
+function maskPhone(value) {
+  const s = String(value);
+  return s.replace(/\d(?=(?:\D*\d){4})/g, '*');
+}
+
+function createLogger({ env = process.env, fields = {}, since = null, write = line => console.log(line) } = {}) {
+  const json = (env.LOG_FORMAT || 'json').trim().toLowerCase() !== 'text';
+  const threshold = LEVELS[(env.LOG_LEVEL || 'info').trim().toLowerCase()] ?? LEVELS.info;
+  const categoryThresholds = parseLevels(env.LOG_LEVELS);
+  const redactPhones = (env.LOG_REDACT_PHONES || '1').trim() !== '0';
+  const transcripts = env.LOG_TRANSCRIPTS !== undefined
+    ? env.LOG_TRANSCRIPTS.trim() !== '0'
+    : env.NODE_ENV !== 'production';
+
+  const enabled = (cat, level) => LEVELS[level] >= (categoryThresholds[cat] ? LEVELS[categoryThresholds[cat]] : threshold);
+
+  function redact(value, key, depth = 0) {
+    if (value == null || depth > 4) return value;
+    if (typeof value === 'string') {
+      if (TRANSCRIPT_KEYS.has(key) && !transcripts) return `[${value.length} chars]`;
+      if (!redactPhones) return value;
+      return PHONE_KEYS.has(key) && value ? maskPhone(value) : value.replace(E164_RE, maskPhone);
+    }
+    if (Array.isArray(value)) return value.map(v => redact(v, key, depth + 1));
+    if (typeof value === 'object') {
+      const out = {};
+      for (const [k, v] of Object.entries(value)) out[k] = redact(v, k, depth + 1);
+      return out;
+    }
+    return value;
+  }
+
+  function make(ctx, startedAt) {
+    function emit(level, cat, msg, data) {
+      if (!enabled(cat, level)) return;
+      const text = redactPhones ? String(msg).replace(E164_RE, maskPhone) : String(msg);
+      const payload = data && Object.keys(data).length ? redact(data) : null;
+      const tMs = startedAt != null ? Date.now() - startedAt : undefined;
+      if (json) {
+        const line = { ts: new Date().toISOString(), level, cat, msg: text };
+        for (const [k, v] of Object.entries(ctx)) if (v != null) line[k] = redact(v, k);
+        if (tMs !== undefined) line.tMs = tMs;
+        if (payload) line.data = payload;
+        write(JSON.stringify(line));
+        return;
+      }
+      const tag = ctx.sessionId ? `[${cat}:${ctx.sessionId}:${tMs}ms]` : `[${cat}]`;
+      write(payload ? `${tag} ${text} ${JSON.stringify(payload)}` : `${tag} ${text}`);
+    }
+
+    const log = (cat, msg, data) => emit(CATEGORY_LEVELS[cat] || 'info', cat, msg, data);
+    log.debug = (cat, msg, data) => emit('debug', cat, msg, data);
+    log.warn = (cat, msg, data) => emit('warn', cat, msg, data);
+    log.error = (cat, msg, data) => emit('error', cat, msg, data);
+    log.enabled = (cat, level = CATEGORY_LEVELS[cat] || 'info') => enabled(cat, level);
+    log.set = (more) => { Object.assign(ctx, more); return log; };
+    log.child = (more, { since: childSince = startedAt } = {}) => make({ ...ctx, ...more }, childSince);
+    return log;
+  }
+
+  return make({ ...fields }, since);
+}
+
+module.exports = { createLogger, maskPhone, parseLevels, LEVELS };
@@ -0,0 +1,78 @@
+// lib/metrics.js – Minimal Prometheus registry (counters, gauges, histograms)
+// Renders the text exposition format for GET /metrics. Label values must come
+// from bounded sets; callers are responsible for not labelling by phone/session.
+
+function escapeLabel(v) { return String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n'); }
+
+function labelKey(names, labels = {}) {
+  return names.map(n => labels[n] ?? '').join('\u0000');
+}
+
+function renderLabels(names, values, extra = '') {
+  const parts = names.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function createMetrics() {
+  const metrics = [];
+
+  function register(type, name, help, labelNames) {
+    const m = { type, name, help, labelNames, series: new Map() };
+    metrics.push(m);
+    return m;
+  }
+
+  function series(m, labels, init) {
+    const key = labelKey(m.labelNames, labels);
+    if (!m.series.has(key)) m.series.set(key, { values: m.labelNames.map(n => labels[n] ?? ''), ...init() });
+    return m.series.get(key);
+  }
+
+  function counter(name, help, labelNames = []) {
+    const m = register('counter', name, help, labelNames);
+    return { inc(labels = {}, by = 1) { series(m, labels, () => ({ value: 0 })).value += by; } };
+  }
+
+  // collect() (optional) is called at scrape time and returns [{ labels, value }]
+  function gauge(name, help, labelNames = [], collect = null) {
+    const m = register('gauge', name, help, labelNames);
+    m.collect = collect;
+    return { set(labels = {}, value) { series(m, labels, () => ({ value: 0 })).value = value; } };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = [0.1, 0.5, 1, 2, 5, 10]) {
+    const m = register('histogram', name, help, labelNames);
+    m.buckets = buckets.slice().sort((a, b) => a - b);
+    return {
+      observe(labels = {}, value) {
+        const s = series(m, labels, () => ({ counts: new Array(m.buckets.length).fill(0), sum: 0, count: 0 }));
+        for (let i = 0; i < m.buckets.length; i++) if (value <= m.buckets[i]) s.counts[i]++;
+        s.sum += value; s.count++;
+      }
+    };
+  }
+
+  function render() {
+    const out = [];
+    for (const m of metrics) {
+      out.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+      if (m.collect) {
+        m.series.clear();
+        for (const { labels, value } of m.collect()) series(m, labels, () => ({ value: 0 })).value = value;
+      }
+      for (const s of m.series.values()) {
+        if (m.type !== 'histogram') { out.push(`${m.name}${renderLabels(m.labelNames, s.values)} ${s.value}`); continue; }
+        m.buckets.forEach((b, i) => out.push(`${m.name}_bucket${renderLabels(m.labelNames, s.values, `le="${b}"`)} ${s.counts[i]}`));
+        out.push(`${m.name}_bucket${renderLabels(m.labelNames, s.values, 'le="+Inf"')} ${s.count}`);
+        out.push(`${m.name}_sum${renderLabels(m.labelNames, s.values)} ${s.sum}`);
+        out.push(`${m.name}_count${renderLabels(m.labelNames, s.values)} ${s.count}`);
+      }
+    }
+    return out.join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = { createMetrics };
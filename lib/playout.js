@@ -0,0 +1,142 @@
+// lib/playout.js – Paced outbound audio toward the caller's transport
+// - Queues μ-law 8k audio as 20 ms frames and releases them in real time via sendMedia(frame),
+//   keeping at most leadMs of audio buffered on the far side
+// - Places a mark every markEvery frames (and at the end of each burst);
+//   the transport echoes a mark once the audio before it has been played
+// - Transports without marks (supportsMarks() false, e.g. Vonage) get none: frames count as
+//   played once the playhead passes them, and latency stays null
+// - interrupt() drops unsent frames, sends clear, and reports what was unplayed
+// - stats(): played/dropped frames, playout latency (enqueue -> mark ack), underruns
+
+const FRAME_BYTES = 160;          // 20 ms of μ-law 8k
+const BYTES_PER_MS = 8;
+const UNDERRUN_GAP_MS = 1000;     // new audio this soon after a drain = audible gap mid-utterance
+const LATENCY_SAMPLES = 200;
+
+function createPlayout({ sendMedia, sendMark, sendClear, supportsMarks = () => true, leadMs = 200, markEvery = 5, tickMs = 20, markPrefix = 'maggie' }) {
+  let queue = [];                 // [{ frame, ms, enqueuedAt }]
+  let timer = null;
+  let playheadAt = 0;             // when the caller should finish hearing everything sent so far
+  let frameSeq = 0, settledSeq = 0, sinceMark = 0, markSeq = 0;
+  let lastEnqueueAt = 0;
+  const marks = new Map();        // name -> { frameSeq, enqueuedAt }
+  const latencies = [];
+  const counters = {
+    framesQueued: 0, framesSent: 0, framesPlayed: 0, framesDropped: 0, framesCleared: 0,
+    marksSent: 0, marksAcked: 0, underruns: 0, interruptions: 0,
+    latencySumMs: 0, latencyMaxMs: 0
+  };
+
+  function enqueue(muBuf) {
+    if (!muBuf || !muBuf.length) return;
+    const now = Date.now();
+    if (!queue.length && playheadAt <= now && lastEnqueueAt && now - lastEnqueueAt < UNDERRUN_GAP_MS) {
+      counters.underruns++;
+    }
+    lastEnqueueAt = now;
+    for (let o = 0; o < muBuf.length; o += FRAME_BYTES) {
+      const frame = muBuf.subarray(o, Math.min(o + FRAME_BYTES, muBuf.length));
+      queue.push({ frame, ms: frame.length / BYTES_PER_MS, enqueuedAt: now });
+      counters.framesQueued++;
+    }
+    pump();
+    if (queue.length && !timer) timer = setInterval(pump, tickMs);
+  }
+
+  function pump() {
+    const now = Date.now();
+    const marked = supportsMarks();
+    if (!marked) settleByClock(now);
+    if (playheadAt < now) playheadAt = now;
+    while (queue.length && playheadAt - now < leadMs) {
+      const f = queue.shift();
+      sendMedia(f.frame);
+      playheadAt += f.ms;
+      frameSeq++; sinceMark++;
+      counters.framesSent++;
+      if (marked && (sinceMark >= markEvery || !queue.length)) placeMark(f);
+    }
+    if (!queue.length && timer) { clearInterval(timer); timer = null; }
+  }
+
+  function placeMark(f) {
+    const name = `${markPrefix}-${++markSeq}`;
+    marks.set(name, { frameSeq, enqueuedAt: f.enqueuedAt });
+    sinceMark = 0;
+    counters.marksSent++;
+    sendMark(name);
+  }
+
+  // No marks: everything sent except what is still ahead of the playhead has been heard
+  function settleByClock(now = Date.now()) {
+    const played = frameSeq - Math.max(0, Math.ceil((playheadAt - now) / 20));
+    if (played > settledSeq) { counters.framesPlayed += played - settledSeq; settledSeq = played; }
+  }
+
+  // Returns null for unknown marks, including ones echoed back after a clear
+  function onMark(name) {
+    const m = marks.get(name);
+    if (!m) return null;
+    marks.delete(name);
+    if (m.frameSeq > settledSeq) { counters.framesPlayed += m.frameSeq - settledSeq; settledSeq = m.frameSeq; }
+    const latencyMs = Date.now() - m.enqueuedAt;
+    counters.marksAcked++;
+    counters.latencySumMs += latencyMs;
+    if (latencyMs > counters.latencyMaxMs) counters.latencyMaxMs = latencyMs;
+    latencies.push(latencyMs);
+    if (latencies.length > LATENCY_SAMPLES) latencies.shift();
+    return { frameSeq: m.frameSeq, latencyMs };
+  }
+
+  function interrupt() {
+    if (!supportsMarks()) settleByClock();
+    const droppedQueuedMs = queue.reduce((ms, f) => ms + f.ms, 0);
+    const unplayedSentFrames = frameSeq - settledSeq; // upper bound: marks are markEvery frames apart
+    counters.framesDropped += queue.length;
+    counters.framesCleared += unplayedSentFrames;
+    counters.interruptions++;
+    queue = [];
+    marks.clear();
+    settledSeq = frameSeq;
+    sinceMark = 0;
+    playheadAt = 0;
+    if (timer) { clearInterval(timer); timer = null; }
+    sendClear();
+    return { droppedQueuedMs, unplayedSentMs: unplayedSentFrames * 20, playedMs: counters.framesPlayed * 20 };
+  }
+
+  function stats() {
+    if (!supportsMarks()) settleByClock();
+    const sorted = latencies.slice().sort((a, b) => a - b);
+    return {
+      framesQueued: counters.framesQueued,
+      framesSent: counters.framesSent,
+      framesPlayed: counters.framesPlayed,
+      framesDropped: counters.framesDropped,
+      framesCleared: counters.framesCleared,
+      marksSent: counters.marksSent,
+      marksAcked: counters.marksAcked,
+      underruns: counters.underruns,
+      interruptions: counters.interruptions,
+      latencyMs: {
+        avg: counters.marksAcked ? Math.round(counters.latencySumMs / counters.marksAcked) : null,
+        p95: sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))] : null,
+        max: counters.marksAcked ? counters.latencyMaxMs : null
+      },
+      queuedMs: queue.reduce((ms, f) => ms + f.ms, 0)
+    };
+  }
+
+  function stop() {
+    if (timer) { clearInterval(timer); timer = null; }
+    queue = [];
+  }
+
+  return {
+    enqueue, onMark, interrupt, stats, stop,
+    get queuedFrames() { return queue.length; },
+    get playingUntil() { return playheadAt; }
+  };
+}
+
+module.exports = { createPlayout };
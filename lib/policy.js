@@ -0,0 +1,179 @@
+// lib/policy.js – Conversation policy: what the bridge injects into the conversation
+// - firstMessage: how the conversation gets going
+//     strategy 'nudge'           timed messages until the agent speaks (legacy "Hello" nudges)
+//     strategy 'agent_first'     only conversation_start events, no fake caller speech
+//     strategy 'wait_for_caller' nothing; the caller speaks first
+//   startOnCallerInput: send conversation_start once the caller's first audio reaches the agent
+//     (default: only for 'nudge' with the built-in schedule; a custom schedule is its own greeting)
+// - reprompt: steps fired after afterMs of silence (no caller speech, no agent audio);
+//   caller speech restarts the schedule. A step either sends a message or hangs up.
+// - turnEndNudge: send "(User finished speaking - please respond)" after each caller turn
+// - dtmf: keypad entries are forwarded as `send` with {digits} filled into `text` (send: none keeps them
+//   bridge-side); bindings map single keys to bridge actions (see lib/dtmf.js for entry rules):
+//     transfer (target from TRANSFER_TARGETS, default "default"), repeat (replay the last agent utterance),
+//     hangup, or { send, text } to inject a fixed message
+//
+// Policies merge default < modes[mode] < agents[agentId] from CONVERSATION_POLICY_FILE:
+//   default: { turnEndNudge: false }
+//   modes:
+//     daily:
+//       firstMessage: { strategy: agent_first }
+//       reprompt:
+//         - { afterMs: 8000, send: contextual_update, text: "The caller has gone quiet. Gently ask if they are still there." }
+//         - { afterMs: 10000, action: hangup }
+//     support:
+//       dtmf:
+//         bindings: { "0": { action: transfer, target: default }, "9": repeat, "*": hangup }
+//   agents: { agent_abc: { turnEndNudge: true } }
+
+const { readConfigFile } = require('./config-file');
+const { DTMF_KEY_RE } = require('./dtmf');
+
+const SENDS = new Set(['user_message', 'contextual_update', 'conversation_start']);
+const STRATEGIES = new Set(['nudge', 'agent_first', 'wait_for_caller']);
+const DTMF_SENDS = new Set(['user_message', 'contextual_update', 'none']);
+const DTMF_ACTIONS = new Set(['transfer', 'repeat', 'hangup']);
+
+const DEFAULT_SCHEDULES = {
+  nudge: [
+    { afterMs: 2000, send: 'user_message', text: 'Hello' },
+    { afterMs: 4000, send: 'user_message', text: 'Please start the conversation' },
+    { afterMs: 6000, send: 'conversation_start' }
+  ],
+  agent_first: [{ afterMs: 1500, send: 'conversation_start' }],
+  wait_for_caller: []
+};
+
+// Matches today's bridge behavior
+const DEFAULT_POLICY = {
+  firstMessage: { strategy: 'nudge' },
+  reprompt: [],
+  turnEndNudge: true,
+  turnEndText: '(User finished speaking - please respond)',
+  dtmf: {
+    send: 'user_message',
+    text: 'The caller pressed {digits} on the keypad.',
+    interDigitMs: 3000,
+    terminator: '#',
+    maxDigits: 20,
+    bindings: {}
+  }
+};
+
+function validateStep(step, label, { allowHangup }) {
+  if (!step || typeof step !== 'object') throw new Error(`${label}: expected an object`);
+  if (!Number.isFinite(step.afterMs) || step.afterMs < 0) throw new Error(`${label}: afterMs must be a non-negative number`);
+  if (step.action !== undefined) {
+    if (!allowHangup || step.action !== 'hangup') throw new Error(`${label}: unknown action "${step.action}"`);
+    return;
+  }
+  if (!SENDS.has(step.send)) throw new Error(`${label}: send must be one of ${[...SENDS].join(', ')}`);
+  if (step.send !== 'conversation_start' && (typeof step.text !== 'string' || !step.text)) throw new Error(`${label}: text is required`);
+}
+
+// "repeat" or { action: 'transfer', target } or { send, text }; null unbinds an inherited key
+function validateBinding(b, label) {
+  if (b === null) return;
+  const binding = typeof b === 'string' ? { action: b } : b;
+  if (!binding || typeof binding !== 'object') throw new Error(`${label}: expected an action name or object`);
+  if (binding.action !== undefined) {
+    if (!DTMF_ACTIONS.has(binding.action)) throw new Error(`${label}: unknown action "${binding.action}"`);
+    if (binding.target !== undefined && typeof binding.target !== 'string') throw new Error(`${label}: target must be a string`);
+    return;
+  }
+  if (!SENDS.has(binding.send) || binding.send === 'conversation_start') throw new Error(`${label}: send must be user_message or contextual_update`);
+  if (typeof binding.text !== 'string' || !binding.text) throw new Error(`${label}: text is required`);
+}
+
+function validateDtmf(d, label) {
+  if (!d || typeof d !== 'object') throw new Error(`${label}: expected an object`);
+  if (d.send !== undefined && !DTMF_SENDS.has(d.send)) throw new Error(`${label}.send must be one of ${[...DTMF_SENDS].join(', ')}`);
+  if (d.text !== undefined && (typeof d.text !== 'string' || !d.text.includes('{digits}'))) throw new Error(`${label}.text must contain {digits}`);
+  if (d.interDigitMs !== undefined && !(Number.isFinite(d.interDigitMs) && d.interDigitMs > 0)) throw new Error(`${label}.interDigitMs must be a positive number`);
+  if (d.maxDigits !== undefined && !(Number.isInteger(d.maxDigits) && d.maxDigits > 0)) throw new Error(`${label}.maxDigits must be a positive integer`);
+  if (d.terminator !== undefined && d.terminator !== '' && !DTMF_KEY_RE.test(String(d.terminator))) throw new Error(`${label}.terminator must be a keypad key or ""`);
+  if (d.bindings !== undefined) {
+    if (!d.bindings || typeof d.bindings !== 'object') throw new Error(`${label}.bindings must be an object`);
+    for (const [key, b] of Object.entries(d.bindings)) {
+      if (!DTMF_KEY_RE.test(key)) throw new Error(`${label}.bindings: "${key}" is not a keypad key`);
+      validateBinding(b, `${label}.bindings.${key}`);
+    }
+  }
+}
+
+function validatePolicy(p, label) {
+  if (!p || typeof p !== 'object') throw new Error(`${label}: expected an object`);
+  if (p.firstMessage !== undefined) {
+    const fm = p.firstMessage;
+    if (fm.strategy !== undefined && !STRATEGIES.has(fm.strategy)) throw new Error(`${label}.firstMessage: unknown strategy "${fm.strategy}"`);
+    if (fm.schedule !== undefined) {
+      if (!Array.isArray(fm.schedule)) throw new Error(`${label}.firstMessage.schedule must be an array`);
+      fm.schedule.forEach((s, i) => validateStep(s, `${label}.firstMessage.schedule[${i}]`, { allowHangup: false }));
+    }
+    if (fm.startOnCallerInput !== undefined && typeof fm.startOnCallerInput !== 'boolean') throw new Error(`${label}.firstMessage.startOnCallerInput must be a boolean`);
+  }
+  if (p.reprompt !== undefined) {
+    if (!Array.isArray(p.reprompt)) throw new Error(`${label}.reprompt must be an array`);
+    p.reprompt.forEach((s, i) => validateStep(s, `${label}.reprompt[${i}]`, { allowHangup: true }));
+  }
+  if (p.turnEndNudge !== undefined && typeof p.turnEndNudge !== 'boolean') throw new Error(`${label}.turnEndNudge must be a boolean`);
+  if (p.turnEndText !== undefined && (typeof p.turnEndText !== 'string' || !p.turnEndText)) throw new Error(`${label}.turnEndText must be a string`);
+  if (p.dtmf !== undefined) validateDtmf(p.dtmf, `${label}.dtmf`);
+  return p;
+}
+
+function mergePolicy(base, over) {
+  if (!over) return base;
+  return {
+    ...base,
+    ...over,
+    firstMessage: { ...base.firstMessage, ...(over.firstMessage || {}) },
+    dtmf: {
+      ...base.dtmf,
+      ...(over.dtmf || {}),
+      bindings: { ...base.dtmf.bindings, ...((over.dtmf || {}).bindings || {}) }
+    }
+  };
+}
+
+// Fill in the schedule implied by the strategy unless one was given; bindings become objects
+function finalize(p) {
+  const fm = p.firstMessage;
+  const schedule = fm.strategy === 'wait_for_caller' ? [] : fm.schedule || DEFAULT_SCHEDULES[fm.strategy];
+  const startOnCallerInput = fm.startOnCallerInput ?? (fm.strategy === 'nudge' && !fm.schedule);
+  const bindings = {};
+  for (const [key, b] of Object.entries(p.dtmf.bindings)) {
+    if (b !== null) bindings[key.toUpperCase()] = Object.freeze(typeof b === 'string' ? { action: b } : { ...b });
+  }
+  return Object.freeze({
+    ...p,
+    firstMessage: Object.freeze({ strategy: fm.strategy, schedule, startOnCallerInput }),
+    dtmf: Object.freeze({ ...p.dtmf, terminator: String(p.dtmf.terminator).toUpperCase(), bindings: Object.freeze(bindings) })
+  });
+}
+
+function createPolicyProvider({ env = process.env } = {}) {
+  let config = { default: {}, modes: {}, agents: {} };
+  const source = env.CONVERSATION_POLICY_FILE ? `file:${env.CONVERSATION_POLICY_FILE}` : 'default';
+
+  if (env.CONVERSATION_POLICY_FILE) {
+    const file = env.CONVERSATION_POLICY_FILE;
+    const raw = readConfigFile(file) || {};
+    // Throws at startup on invalid config
+    validatePolicy(raw.default || {}, `${file} default`);
+    for (const [k, v] of Object.entries(raw.modes || {})) validatePolicy(v, `${file} modes.${k}`);
+    for (const [k, v] of Object.entries(raw.agents || {})) validatePolicy(v, `${file} agents.${k}`);
+    config = { default: raw.default || {}, modes: raw.modes || {}, agents: raw.agents || {} };
+  }
+
+  function resolve({ mode, agentId }) {
+    let p = mergePolicy(DEFAULT_POLICY, config.default);
+    p = mergePolicy(p, config.modes[mode]);
+    p = mergePolicy(p, agentId ? config.agents[agentId] : null);
+    return finalize(p);
+  }
+
+  return { resolve, source };
+}
+
+module.exports = { createPolicyProvider, validatePolicy, DEFAULT_POLICY };
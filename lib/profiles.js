@@ -0,0 +1,195 @@
+// lib/profiles.js – Caller profiles for dynamic_variables.profile
+// - createProfileProvider() picks a source: Supabase lookup by caller_phone, a fixture file, or none
+// - Every profile goes through sanitizeProfile(): known fields only, typed, trimmed, size-capped
+// - mergeProfile(): stored profile first, then profile_b64 overrides for PROFILE_OVERRIDE_FIELDS only;
+//   identity and history (name, past_calls, ...) always come from our own data when we have it
+//
+// Env:
+//   PROFILE_PROVIDER=supabase|fixture|none (optional; default supabase if SUPABASE_URL set)
+//   PROFILE_FIXTURES=profiles.yaml (fixture provider; { "+15550100": { name, notes, past_calls: [...] } })
+//   SUPABASE_PROFILES_TABLE=caller_profiles PROFILE_PAST_CALLS=3 (optional)
+//   PROFILE_OVERRIDE_FIELDS=preferred_name,language,timezone,notes (optional; "" disables profile_b64)
+//   PROFILE_TIMEOUT_MS=800 (optional; lookups slower than this are skipped for the call)
+//
+// Expected tables:
+//   caller_profiles(phone text pk, name text, preferred_name text, language text, timezone text,
+//                   notes text, tags text[])
+//   bridge_calls (lib/store.js) supplies past_calls: started_at, duration_ms, summary
+//   Multi-tenant (lib/tenants.js): both tables also need tenant text; lookups only see the call's tenant
+
+const { readConfigFile } = require('./config-file');
+
+const MAX_PROFILE_BYTES = 4096;
+const MAX_B64_BYTES = 8192;
+
+// field -> { type, max } (string max = chars, array max = items)
+const PROFILE_SCHEMA = {
+  name: { type: 'string', max: 80 },
+  preferred_name: { type: 'string', max: 80 },
+  language: { type: 'string', max: 16 },
+  timezone: { type: 'string', max: 64 },
+  notes: { type: 'string', max: 1000 },
+  tags: { type: 'array', max: 20, items: { type: 'string', max: 40 } },
+  past_calls: {
+    type: 'array', max: 5,
+    items: { type: 'object', fields: { date: { type: 'string', max: 32 }, duration_ms: { type: 'number' }, summary: { type: 'string', max: 500 } } }
+  }
+};
+
+const DEFAULT_OVERRIDE_FIELDS = ['preferred_name', 'language', 'timezone', 'notes'];
+
+function sanitizeValue(value, spec) {
+  if (value == null) return undefined;
+  switch (spec.type) {
+    case 'string': {
+      if (typeof value !== 'string' && typeof value !== 'number') return undefined;
+      const s = String(value).trim();
+      return s ? s.slice(0, spec.max) : undefined;
+    }
+    case 'number':
+      return Number.isFinite(Number(value)) ? Number(value) : undefined;
+    case 'array': {
+      if (!Array.isArray(value)) return undefined;
+      const out = value.map(v => sanitizeValue(v, spec.items)).filter(v => v !== undefined).slice(0, spec.max);
+      return out.length ? out : undefined;
+    }
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return undefined;
+      const out = sanitizeFields(value, spec.fields);
+      return Object.keys(out).length ? out : undefined;
+    }
+    default:
+      return undefined;
+  }
+}
+
+function sanitizeFields(obj, fields) {
+  const out = {};
+  for (const [key, spec] of Object.entries(fields)) {
+    const v = sanitizeValue(obj[key], spec);
+    if (v !== undefined) out[key] = v;
+  }
+  return out;
+}
+
+// Unknown keys dropped, values typed and trimmed; oldest past calls, then notes, go first when over size
+function sanitizeProfile(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+  const profile = sanitizeFields(raw, PROFILE_SCHEMA);
+  const size = () => Buffer.byteLength(JSON.stringify(profile));
+  while (profile.past_calls && size() > MAX_PROFILE_BYTES) {
+    profile.past_calls.pop();
+    if (!profile.past_calls.length) delete profile.past_calls;
+  }
+  if (size() > MAX_PROFILE_BYTES) delete profile.notes;
+  return Object.keys(profile).length ? profile : null;
+}
+
+// customParameters.profile_b64 -> sanitized object; { error } when it can't be used
+function decodeProfileB64(b64) {
+  if (!b64 || typeof b64 !== 'string') return { profile: null };
+  if (b64.length > MAX_B64_BYTES) return { profile: null, error: `profile_b64 over ${MAX_B64_BYTES} bytes` };
+  try { return { profile: sanitizeProfile(JSON.parse(Buffer.from(b64, 'base64').toString('utf8'))) }; }
+  catch (e) { return { profile: null, error: e.message }; }
+}
+
+// Stored profile wins except for overrideFields, which profile_b64 may set or replace
+function mergeProfile(stored, overrides, overrideFields = DEFAULT_OVERRIDE_FIELDS) {
+  const merged = { ...(stored || {}) };
+  if (overrides) {
+    for (const key of overrideFields) {
+      if (overrides[key] !== undefined) merged[key] = overrides[key];
+    }
+    // Without a stored profile the caller-supplied identity is all we have
+    if (!stored) {
+      for (const [key, value] of Object.entries(overrides)) if (merged[key] === undefined && key !== 'past_calls') merged[key] = value;
+    }
+  }
+  return Object.keys(merged).length ? merged : null;
+}
+
+// ---------- Providers: lookup({ phone, tenant }) -> Promise<raw profile | null>; tenant is null single-tenant
+
+function createProfileProvider(env = process.env) {
+  const kind = (env.PROFILE_PROVIDER || (env.SUPABASE_URL ? 'supabase' : 'none')).trim().toLowerCase();
+  let provider;
+  if (kind === 'supabase') {
+    provider = createSupabaseProfileProvider({
+      url: env.SUPABASE_URL,
+      key: env.SUPABASE_SERVICE_ROLE_KEY,
+      profilesTable: env.SUPABASE_PROFILES_TABLE || 'caller_profiles',
+      callsTable: env.SUPABASE_CALLS_TABLE || 'bridge_calls',
+      pastCalls: parseInt(env.PROFILE_PAST_CALLS || '3', 10)
+    });
+  } else if (kind === 'fixture') {
+    if (!env.PROFILE_FIXTURES) throw new Error('PROFILE_FIXTURES is required for PROFILE_PROVIDER=fixture');
+    provider = createFixtureProfileProvider(readConfigFile(env.PROFILE_FIXTURES));
+  } else {
+    provider = { kind: 'none', async lookup() { return null; } };
+  }
+
+  const overrideFields = env.PROFILE_OVERRIDE_FIELDS !== undefined
+    ? env.PROFILE_OVERRIDE_FIELDS.split(',').map(s => s.trim()).filter(k => PROFILE_SCHEMA[k])
+    : DEFAULT_OVERRIDE_FIELDS;
+  const timeoutMs = parseInt(env.PROFILE_TIMEOUT_MS || '800', 10);
+
+  // Never rejects: { profile, source, error? }. source names what contributed.
+  async function resolve({ phone, profileB64, tenant = null }) {
+    const decoded = overrideFields.length ? decodeProfileB64(profileB64) : { profile: null };
+    let stored = null, error = decoded.error || null;
+    if (phone) {
+      let timer;
+      try {
+        const raw = await Promise.race([
+          provider.lookup({ phone, tenant }),
+          new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(`lookup timed out after ${timeoutMs}ms`)), timeoutMs); })
+        ]);
+        stored = sanitizeProfile(raw);
+      } catch (e) { error = e.message; }
+      finally { clearTimeout(timer); }
+    }
+    const profile = mergeProfile(stored, decoded.profile, overrideFields);
+    const source = [stored && provider.kind, decoded.profile && 'profile_b64'].filter(Boolean).join('+') || 'none';
+    return { profile, source, error };
+  }
+
+  return { kind: provider.kind, overrideFields, resolve };
+}
+
+function createSupabaseProfileProvider({ url, key, profilesTable, callsTable, pastCalls }) {
+  if (!url || !key) throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required for PROFILE_PROVIDER=supabase');
+  const { createClient } = require('@supabase/supabase-js');
+  const db = createClient(url, key, { auth: { persistSession: false } });
+  return {
+    kind: 'supabase',
+    async lookup({ phone, tenant }) {
+      const scoped = q => (tenant ? q.eq('tenant', tenant) : q);
+      const [profileRes, callsRes] = await Promise.all([
+        scoped(db.from(profilesTable).select('*').eq('phone', phone)).maybeSingle(),
+        pastCalls > 0
+          ? scoped(db.from(callsTable).select('started_at, duration_ms, summary').eq('phone', phone)).not('ended_at', 'is', null)
+            .order('started_at', { ascending: false }).limit(pastCalls)
+          : Promise.resolve({ data: [] })
+      ]);
+      if (profileRes.error) throw new Error(`${profilesTable} select: ${profileRes.error.message}`);
+      if (callsRes.error) throw new Error(`${callsTable} select: ${callsRes.error.message}`);
+      const calls = (callsRes.data || []).map(c => ({ date: c.started_at, duration_ms: c.duration_ms, summary: c.summary }));
+      if (!profileRes.data && !calls.length) return null;
+      return { ...(profileRes.data || {}), past_calls: calls };
+    }
+  };
+}
+
+// Keyed by E.164 phone; for local runs and scripts/harness
+function createFixtureProfileProvider(fixtures = {}) {
+  return {
+    kind: 'fixture',
+    async lookup({ phone }) { return fixtures[phone] || null; }
+  };
+}
+
+module.exports = {
+  createProfileProvider, createFixtureProfileProvider,
+  sanitizeProfile, decodeProfileB64, mergeProfile,
+  PROFILE_SCHEMA
+};
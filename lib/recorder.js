@@ -0,0 +1,157 @@
+// lib/recorder.js – Two-channel call recording with retention
+// - createCallRecorder(): time-aligned stereo PCM16 WAV at 8 kHz,
+//   caller on the left, agent on the right, silence filled in for gaps.
+//   Samples are placed by wall clock and streamed to disk once they are
+//   flushLagMs old, so memory stays bounded on long calls. Flush errors go to
+//   log(cat, msg, data) (the session logger, so they carry call correlation).
+// - createRecordingStorage(): keeps files on local disk or uploads them to a
+//   Supabase storage bucket; sweep() deletes recordings past retention.
+//
+// Layout (both backends): <YYYY-MM-DD>/<sessionId>.wav
+
+const fs = require('fs');
+const path = require('path');
+const { muLawToPcm16 } = require('./codec');
+
+const SAMPLE_RATE = 8000;
+const WINDOW_SAMPLES = SAMPLE_RATE * 10;  // in-memory window per channel
+const CHANNELS = 2, BYTES_PER_SAMPLE = 2;
+
+function wavHeader(dataBytes) {
+  const h = Buffer.alloc(44);
+  h.write('RIFF', 0, 'ascii'); h.writeUInt32LE(36 + dataBytes, 4); h.write('WAVE', 8, 'ascii');
+  h.write('fmt ', 12, 'ascii'); h.writeUInt32LE(16, 16);
+  h.writeUInt16LE(1, 20);                                            // PCM
+  h.writeUInt16LE(CHANNELS, 22);
+  h.writeUInt32LE(SAMPLE_RATE, 24);
+  h.writeUInt32LE(SAMPLE_RATE * CHANNELS * BYTES_PER_SAMPLE, 28);    // byte rate
+  h.writeUInt16LE(CHANNELS * BYTES_PER_SAMPLE, 32);                  // block align
+  h.writeUInt16LE(16, 34);
+  h.write('data', 36, 'ascii'); h.writeUInt32LE(dataBytes, 40);
+  return h;
+}
+
+function createCallRecorder({ filePath, flushLagMs = 1000, log = (cat, msg, data) => console.log(`[${cat}] ${msg}`, data || '') }) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const fd = fs.openSync(filePath, 'w');
+  fs.writeSync(fd, wavHeader(0));
+
+  const t0 = Date.now();
+  const chans = [new Int16Array(WINDOW_SAMPLES), new Int16Array(WINDOW_SAMPLES)];
+  const cursors = [0, 0];   // next free sample per channel
+  let base = 0;             // sample index of chans[*][0]; everything before is on disk
+  let dataBytes = 0;
+  let closed = false;
+
+  const clockSample = () => Math.round((Date.now() - t0) * SAMPLE_RATE / 1000);
+
+  function flushTo(upTo) {
+    const n = upTo - base;
+    if (n <= 0) return;
+    const out = Buffer.alloc(n * CHANNELS * BYTES_PER_SAMPLE);
+    for (let i = 0; i < n; i++) {
+      const l = i < WINDOW_SAMPLES ? chans[0][i] : 0, r = i < WINDOW_SAMPLES ? chans[1][i] : 0;
+      out.writeInt16LE(l, i * 4); out.writeInt16LE(r, i * 4 + 2);
+    }
+    fs.writeSync(fd, out);
+    dataBytes += out.length;
+    for (const c of chans) {
+      if (n >= WINDOW_SAMPLES) c.fill(0);
+      else { c.copyWithin(0, n); c.fill(0, WINDOW_SAMPLES - n); }
+    }
+    base = upTo;
+  }
+
+  // channel 0 = caller (sequential: Twilio sends a continuous 20 ms stream),
+  // channel 1 = agent (placed at the wall clock, never before its own cursor)
+  function write(ch, muBuf) {
+    if (closed || !muBuf.length) return;
+    let samples = muLawToPcm16(muBuf);
+    let pos = ch === 0 ? cursors[0] : Math.max(cursors[1], clockSample());
+    if (pos < base) { samples = samples.subarray(Math.min(samples.length, base - pos)); pos = base; }
+    if (!samples.length) return;
+    if (pos + samples.length > base + WINDOW_SAMPLES) flushTo(pos + samples.length - WINDOW_SAMPLES);
+    chans[ch].set(samples, pos - base);
+    cursors[ch] = pos + samples.length;
+  }
+
+  const timer = setInterval(() => {
+    try { flushTo(Math.min(clockSample() - Math.round(flushLagMs * SAMPLE_RATE / 1000), Math.max(...cursors))); }
+    catch (e) { log('ERROR', 'Recording flush failed', { error: e.message, path: filePath }); }
+  }, 1000);
+  timer.unref();
+
+  function close() {
+    if (closed) return null;
+    closed = true;
+    clearInterval(timer);
+    flushTo(Math.max(...cursors));
+    fs.writeSync(fd, wavHeader(dataBytes), 0, 44, 0);
+    fs.closeSync(fd);
+    return { filePath, bytes: dataBytes + 44, durationMs: Math.round(dataBytes / (CHANNELS * BYTES_PER_SAMPLE) * 1000 / SAMPLE_RATE) };
+  }
+
+  return {
+    writeCaller: muBuf => write(0, muBuf),
+    writeAgent: muBuf => write(1, muBuf),
+    close
+  };
+}
+
+// ---------- Storage + retention
+
+function objectPathFor(sessionId, date = new Date()) {
+  return `${date.toISOString().slice(0, 10)}/${sessionId}.wav`;
+}
+
+function createRecordingStorage(env = process.env) {
+  const dir = env.RECORDING_DIR || '/tmp/recordings';
+  const kind = (env.RECORDING_STORE || 'local').trim().toLowerCase();
+  const cutoffDay = (days) => new Date(Date.now() - days * 86_400_000).toISOString().slice(0, 10);
+
+  if (kind === 'supabase') {
+    const bucket = env.RECORDING_BUCKET || 'call-recordings';
+    const { createClient } = require('@supabase/supabase-js');
+    const db = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_ROLE_KEY, { auth: { persistSession: false } });
+    return {
+      kind, dir,
+      async save(localPath, objectPath) {
+        const body = await fs.promises.readFile(localPath);
+        const { error } = await db.storage.from(bucket).upload(objectPath, body, { contentType: 'audio/wav', upsert: true });
+        if (error) throw new Error(`upload ${objectPath}: ${error.message}`);
+        await fs.promises.unlink(localPath).catch(() => {});
+        return `supabase://${bucket}/${objectPath}`;
+      },
+      async sweep(retentionDays) {
+        const cutoff = cutoffDay(retentionDays);
+        const { data: days, error } = await db.storage.from(bucket).list('', { limit: 1000 });
+        if (error) throw new Error(`list ${bucket}: ${error.message}`);
+        let removed = 0;
+        for (const d of days.filter(d => /^\d{4}-\d{2}-\d{2}$/.test(d.name) && d.name < cutoff)) {
+          const { data: files } = await db.storage.from(bucket).list(d.name, { limit: 1000 });
+          const paths = (files || []).map(f => `${d.name}/${f.name}`);
+          if (paths.length) { await db.storage.from(bucket).remove(paths); removed += paths.length; }
+        }
+        return removed;
+      }
+    };
+  }
+
+  return {
+    kind: 'local', dir,
+    async save(localPath) { return localPath; },
+    async sweep(retentionDays) {
+      const cutoff = cutoffDay(retentionDays);
+      let removed = 0;
+      const days = await fs.promises.readdir(dir).catch(() => []);
+      for (const d of days.filter(d => /^\d{4}-\d{2}-\d{2}$/.test(d) && d < cutoff)) {
+        const files = await fs.promises.readdir(path.join(dir, d)).catch(() => []);
+        await fs.promises.rm(path.join(dir, d), { recursive: true, force: true });
+        removed += files.length;
+      }
+      return removed;
+    }
+  };
+}
+
+module.exports = { createCallRecorder, createRecordingStorage, objectPathFor, wavHeader };
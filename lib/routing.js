@@ -0,0 +1,207 @@
+// lib/routing.js – Agent routing registry
+// - Maps mode, dialed number, caller number and time-of-day rules to agent IDs
+// - First matching route wins; each route may carry dynamic-variable defaults
+// - customParameters.agent_id is honored only if it is on the allow-list
+//   (every route's agentId plus allowedAgentIds / AGENT_ALLOWLIST)
+// - Sources: AGENT_ROUTES_FILE (.json/.yaml) or AGENT_ROUTES_TABLE (Supabase),
+//   hot-reloaded; without either, legacy discovery/daily env agents are used.
+//   lib/tenants.js passes a tenant's inline routes as `config` (same format as the file)
+//
+// File format:
+//   allowedAgentIds: [agent_x]
+//   routes:
+//     - name: after-hours
+//       match: { to: ["+15550100"], hours: { tz: Europe/London, days: [sat, sun], start: "18:00", end: "08:00" } }
+//       agentId: agent_abc
+//       dynamicVariables: { greeting_style: calm }
+//     - name: daily
+//       match: { mode: daily, from: ["+4477*"] }
+//       agentId: agent_def
+//
+// Supabase table rows: name, priority (asc), enabled, match jsonb, agent_id, dynamic_variables jsonb
+
+const fs = require('fs');
+const { readConfigFile } = require('./config-file');
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MATCH_KEYS = new Set(['mode', 'to', 'from', 'hours']);
+
+// ---------- Validation
+
+function compileConfig(config, label) {
+  if (!config || typeof config !== 'object') throw new Error(`${label}: expected an object`);
+  if (!Array.isArray(config.routes)) throw new Error(`${label}: "routes" must be an array`);
+  const routes = config.routes.map((r, i) => compileRoute(r, `${label} routes[${i}]`));
+  const allowed = new Set(routes.map(r => r.agentId));
+  for (const id of config.allowedAgentIds || []) {
+    if (typeof id !== 'string' || !id) throw new Error(`${label}: allowedAgentIds must be non-empty strings`);
+    allowed.add(id);
+  }
+  return { routes, allowed };
+}
+
+function compileRoute(r, label) {
+  if (!r || typeof r !== 'object') throw new Error(`${label}: expected an object`);
+  if (typeof r.agentId !== 'string' || !r.agentId) throw new Error(`${label}: agentId is required`);
+  const match = r.match || {};
+  for (const k of Object.keys(match)) if (!MATCH_KEYS.has(k)) throw new Error(`${label}: unknown match key "${k}"`);
+  if (r.dynamicVariables != null && (typeof r.dynamicVariables !== 'object' || Array.isArray(r.dynamicVariables))) {
+    throw new Error(`${label}: dynamicVariables must be an object`);
+  }
+  return {
+    name: r.name || label,
+    agentId: r.agentId,
+    dynamicVariables: r.dynamicVariables || {},
+    modes: toList(match.mode, label, 'mode').map(m => m.toLowerCase()),
+    to: toList(match.to, label, 'to'),
+    from: toList(match.from, label, 'from'),
+    hours: match.hours ? compileHours(match.hours, label) : null
+  };
+}
+
+function toList(v, label, key) {
+  if (v == null) return [];
+  const list = Array.isArray(v) ? v : [v];
+  if (list.some(x => typeof x !== 'string' || !x)) throw new Error(`${label}: match.${key} must be string(s)`);
+  return list;
+}
+
+function compileHours(h, label) {
+  // 00:00-23:59; end may also be 24:00 (end of day)
+  const parseHm = (s, key) => {
+    const m = /^(\d{1,2}):(\d{2})$/.exec(String(s || ''));
+    const minutes = m ? +m[1] * 60 + +m[2] : NaN;
+    const max = key === 'end' ? 24 * 60 : 24 * 60 - 1;
+    if (!m || +m[2] > 59 || minutes > max) throw new Error(`${label}: hours.${key} must be HH:MM, 00:00-${key === 'end' ? '24:00' : '23:59'}`);
+    return minutes;
+  };
+  const tz = h.tz || 'UTC';
+  try { new Intl.DateTimeFormat('en-US', { timeZone: tz }); }
+  catch { throw new Error(`${label}: unknown time zone "${tz}"`); }
+  const days = (h.days || DAY_NAMES).map(d => {
+    const i = typeof d === 'number' ? d % 7 : DAY_NAMES.indexOf(String(d).slice(0, 3).toLowerCase());
+    if (i < 0) throw new Error(`${label}: bad day "${d}"`);
+    return i;
+  });
+  return { tz, days: new Set(days), start: parseHm(h.start || '00:00', 'start'), end: parseHm(h.end || '24:00', 'end') };
+}
+
+// ---------- Matching
+
+function localTime(tz, now) {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone: tz, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .formatToParts(now)
+    .reduce((acc, p) => (acc[p.type] = p.value, acc), {});
+  return { day: DAY_NAMES.indexOf(parts.weekday.toLowerCase()), minutes: +parts.hour * 60 + +parts.minute };
+}
+
+function inHours(hours, now) {
+  const { day, minutes } = localTime(hours.tz, now);
+  if (hours.start <= hours.end) return hours.days.has(day) && minutes >= hours.start && minutes < hours.end;
+  // Overnight window: the early-morning part belongs to the previous day's rule
+  if (minutes >= hours.start) return hours.days.has(day);
+  return minutes < hours.end && hours.days.has((day + 6) % 7);
+}
+
+function numberMatches(patterns, number) {
+  if (!patterns.length) return true;
+  if (!number) return false;
+  return patterns.some(p => (p.endsWith('*') ? number.startsWith(p.slice(0, -1)) : number === p));
+}
+
+function matchRoute(route, ctx, now) {
+  if (route.modes.length && !route.modes.includes(ctx.mode)) return false;
+  if (!numberMatches(route.to, ctx.to)) return false;
+  if (!numberMatches(route.from, ctx.from)) return false;
+  if (route.hours && !inHours(route.hours, now)) return false;
+  return true;
+}
+
+// ---------- Registry
+
+function legacyConfig(env) {
+  const routes = [];
+  if (env.ELEVENLABS_DAILY_AGENT_ID) routes.push({ name: 'daily', match: { mode: 'daily' }, agentId: env.ELEVENLABS_DAILY_AGENT_ID });
+  if (env.ELEVENLABS_DISCOVERY_AGENT_ID) routes.push({ name: 'discovery', agentId: env.ELEVENLABS_DISCOVERY_AGENT_ID });
+  return { routes };
+}
+
+function createRoutingRegistry({ env = process.env, log = (cat, msg) => console.log(`[${cat}] ${msg}`), config = null, label = 'inline' } = {}) {
+  const allowList = (env.AGENT_ALLOWLIST || '').split(',').map(s => s.trim()).filter(Boolean);
+  const withAllowList = cfg => ({ ...cfg, allowedAgentIds: [...(cfg.allowedAgentIds || []), ...allowList] });
+
+  let compiled = compileConfig(withAllowList(legacyConfig(env)), 'legacy env');
+  let source = 'env';
+  let version = 0;
+  let stopWatch = () => {};
+
+  const install = (cfg, label) => {
+    compiled = compileConfig(withAllowList(cfg), label);
+    version++;
+    log('ROUTING', `Loaded ${compiled.routes.length} route(s) from ${label} (v${version})`);
+  };
+
+  if (config) {
+    source = label;
+    install(config, label); // throws on invalid config
+  } else if (env.AGENT_ROUTES_FILE) {
+    const file = env.AGENT_ROUTES_FILE;
+    source = `file:${file}`;
+    install(readConfigFile(file), file); // throws at startup on invalid config
+    const onChange = (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs) return;
+      try { install(readConfigFile(file), file); }
+      catch (e) { log('ROUTING', `Reload failed, keeping v${version}: ${e.message}`); }
+    };
+    const interval = parseInt(env.AGENT_ROUTES_REFRESH_MS || '2000', 10);
+    fs.watchFile(file, { interval }, onChange).unref();
+    stopWatch = () => fs.unwatchFile(file, onChange);
+  } else if (env.AGENT_ROUTES_TABLE) {
+    const table = env.AGENT_ROUTES_TABLE;
+    source = `supabase:${table}`;
+    const { createClient } = require('@supabase/supabase-js');
+    const db = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_ROLE_KEY, { auth: { persistSession: false } });
+    const load = async () => {
+      const { data, error } = await db.from(table).select('*').eq('enabled', true).order('priority', { ascending: true });
+      if (error) throw new Error(error.message);
+      install({
+        routes: data.map(row => ({ name: row.name, match: row.match || {}, agentId: row.agent_id, dynamicVariables: row.dynamic_variables || {} }))
+      }, `supabase:${table}`);
+    };
+    const refresh = () => load().catch(e => log('ROUTING', `Supabase load failed, keeping v${version}: ${e.message}`));
+    refresh();
+    const timer = setInterval(refresh, parseInt(env.AGENT_ROUTES_REFRESH_MS || '60000', 10));
+    timer.unref();
+    stopWatch = () => clearInterval(timer);
+  }
+
+  // ctx: { mode, to, from, requestedAgentId }
+  function resolve(ctx, now = new Date()) {
+    const route = compiled.routes.find(r => matchRoute(r, ctx, now)) || null;
+    if (ctx.requestedAgentId) {
+      if (compiled.allowed.has(ctx.requestedAgentId)) {
+        return { agentId: ctx.requestedAgentId, route: route ? route.name : null, dynamicVariables: route ? route.dynamicVariables : {}, via: 'requested' };
+      }
+      log('ROUTING', `Ignoring agent_id not on allow-list: ${ctx.requestedAgentId.slice(0, 8)}...`);
+    }
+    if (!route) return null;
+    return { agentId: route.agentId, route: route.name, dynamicVariables: route.dynamicVariables, via: 'route' };
+  }
+
+  // Bounded label set for metrics: modes the routes know about
+  function knownMode(mode) {
+    return mode === 'discovery' || mode === 'daily' || compiled.routes.some(r => r.modes.includes(mode));
+  }
+
+  return {
+    resolve,
+    knownMode,
+    stop: () => stopWatch(),
+    get source() { return source; },
+    get version() { return version; },
+    get routeCount() { return compiled.routes.length; },
+    get agentIds() { return [...new Set(compiled.routes.map(r => r.agentId))]; }
+  };
+}
+
+module.exports = { createRoutingRegistry, compileConfig, matchRoute };
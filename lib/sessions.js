@@ -0,0 +1,17 @@
+// lib/sessions.js – Registry of live bridge sessions
+// Each entry is a handle built inside attachBridgeHandlers:
+//   { id, snapshot(), hangup(reason), inject({ type, text }) }
+// so admin routes can see and steer a call without reaching into its closures.
+
+function createSessionRegistry() {
+  const sessions = new Map();
+  return {
+    add(handle) { sessions.set(handle.id, handle); },
+    remove(id) { sessions.delete(id); },
+    get(id) { return sessions.get(id) || null; },
+    list() { return [...sessions.values()]; },
+    get size() { return sessions.size; }
+  };
+}
+
+module.exports = { createSessionRegistry };
@@ -0,0 +1,131 @@
+// lib/store.js – Call/transcript persistence for the bridge
+// - createStore() picks the backend from env: Supabase when configured, else no-op
+// - createMemoryStore() is the in-process stand-in (SESSION_STORE=memory, tests)
+// - createSessionWriter() serializes writes per session so turns stay ordered and
+//   the audio path never awaits a network round-trip
+//
+// Env:
+//   SESSION_STORE=supabase|memory|none (optional; default supabase if SUPABASE_URL set)
+//   SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY
+//   SUPABASE_CALLS_TABLE=bridge_calls SUPABASE_TURNS_TABLE=bridge_transcript_turns (optional)
+//   SUPABASE_EVENTS_TABLE=bridge_call_events (optional)
+//
+// Expected tables:
+//   bridge_calls(session_id text pk, stream_sid text, call_sid text, phone text, mode text,
+//                agent_id text, started_at timestamptz, ended_at timestamptz, duration_ms int,
+//                total_audio_received int, total_frames_sent int, user_has_spoken bool, playout jsonb,
+//                recording_path text, end_reason text, el_conversation_id text, summary text,
+//                tenant text)   tenant is written only when lib/tenants.js has a tenant source configured
+//     summary is written by downstream systems (call.completed webhook) and read back
+//     as past_calls by lib/profiles.js
+//   bridge_transcript_turns(session_id text, seq int, role text, text text,
+//                           source text null, created_at timestamptz, primary key (session_id, seq))
+//     role 'injected' rows are bridge-generated messages (nudges, reprompts, supervisor);
+//     source names who injected them. Filter them out for the caller/agent transcript.
+//   bridge_call_events(call_sid text, session_id text null, status text, payload jsonb, created_at timestamptz)
+
+const MEMORY_MAX_CALLS = 500;
+
+function createStore(env = process.env) {
+  const kind = (env.SESSION_STORE || (env.SUPABASE_URL ? 'supabase' : 'none')).trim().toLowerCase();
+  if (kind === 'memory') return createMemoryStore();
+  if (kind === 'supabase') {
+    return createSupabaseStore({
+      url: env.SUPABASE_URL,
+      key: env.SUPABASE_SERVICE_ROLE_KEY,
+      callsTable: env.SUPABASE_CALLS_TABLE || 'bridge_calls',
+      turnsTable: env.SUPABASE_TURNS_TABLE || 'bridge_transcript_turns',
+      eventsTable: env.SUPABASE_EVENTS_TABLE || 'bridge_call_events'
+    });
+  }
+  return createNullStore();
+}
+
+// ---------- Backends (all methods return promises)
+
+function createNullStore() {
+  return {
+    kind: 'none',
+    async saveCall() {},
+    async appendTurn() {},
+    async saveCallEvent() {}
+  };
+}
+
+function createMemoryStore() {
+  const calls = new Map();   // sessionId -> call row
+  const turns = new Map();   // sessionId -> [turn]
+  const events = [];         // Twilio lifecycle events, newest last
+  return {
+    kind: 'memory',
+    calls, turns, events,
+    async saveCall(row) {
+      const prev = calls.get(row.session_id) || {};
+      calls.set(row.session_id, { ...prev, ...row });
+      if (!turns.has(row.session_id)) turns.set(row.session_id, []);
+      while (calls.size > MEMORY_MAX_CALLS) {
+        const oldest = calls.keys().next().value;
+        calls.delete(oldest); turns.delete(oldest);
+      }
+    },
+    async appendTurn(turn) {
+      if (!turns.has(turn.session_id)) turns.set(turn.session_id, []);
+      turns.get(turn.session_id).push({ ...turn });
+    },
+    async saveCallEvent(event) {
+      events.push({ ...event });
+      if (events.length > MEMORY_MAX_CALLS * 10) events.shift();
+    },
+    getCall(sessionId) { return calls.get(sessionId) || null; },
+    getTurns(sessionId) { return (turns.get(sessionId) || []).slice(); }
+  };
+}
+
+function createSupabaseStore({ url, key, callsTable, turnsTable, eventsTable }) {
+  if (!url || !key) throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required for SESSION_STORE=supabase');
+  const { createClient } = require('@supabase/supabase-js');
+  const db = createClient(url, key, { auth: { persistSession: false } });
+  return {
+    kind: 'supabase',
+    async saveCall(row) {
+      const { error } = await db.from(callsTable).upsert(row, { onConflict: 'session_id' });
+      if (error) throw new Error(`${callsTable} upsert: ${error.message}`);
+    },
+    async appendTurn(turn) {
+      const { error } = await db.from(turnsTable).insert(turn);
+      if (error) throw new Error(`${turnsTable} insert: ${error.message}`);
+    },
+    async saveCallEvent(event) {
+      const { error } = await db.from(eventsTable).insert(event);
+      if (error) throw new Error(`${eventsTable} insert: ${error.message}`);
+    }
+  };
+}
+
+// ---------- Per-session writer (fire-and-forget, ordered)
+
+function createSessionWriter(store, sessionId, onError = () => {}) {
+  let chain = Promise.resolve();
+  let turnSeq = 0;
+
+  const enqueue = (label, fn) => {
+    chain = chain.then(fn).catch(e => onError(label, e));
+    return chain;
+  };
+
+  return {
+    saveCall(fields) {
+      const row = { session_id: sessionId, ...fields };
+      return enqueue('saveCall', () => store.saveCall(row));
+    },
+    appendTurn(role, text, source = null) {
+      if (!text) return chain;
+      const turn = { session_id: sessionId, seq: ++turnSeq, role, text, created_at: new Date().toISOString() };
+      if (source) turn.source = source;
+      return enqueue('appendTurn', () => store.appendTurn(turn));
+    },
+    flush() { return chain; }
+  };
+}
+
+module.exports = { createStore, createMemoryStore, createNullStore, createSupabaseStore, createSessionWriter };
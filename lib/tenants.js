@@ -0,0 +1,379 @@
+// lib/tenants.js – Tenant registry: per-tenant ElevenLabs key, agents, tuning, auth and feature toggles
+// - A call's tenant comes from customParameters.tenant, else from its signed token (the key id
+//   names the tenant that issued it), else the default tenant; unknown tenants are refused.
+//   A tenant without token secrets or a static token would take any caller who names it, so
+//   it must say auth: { allowUnauthenticated: true }; the env tenant keeps its legacy open default
+// - Each tenant gets its own routing registry, conversation policy, signed URL pool, token keys,
+//   call.completed webhook dispatcher (own outbox) and transfer targets.
+//   Nothing falls back to another tenant's values: unset tuning/features use the bridge defaults
+// - Without TENANTS_FILE / TENANTS_TABLE the bridge has one tenant, "default", built from the legacy env
+//   (ELEVENLABS_API_KEY, SILENCE_MS, BRIDGE_TOKEN_SECRETS, CALL_WEBHOOK_URLS, TRANSFER_TARGETS, ...). With a source configured
+//   the env tenant is kept only when ELEVENLABS_API_KEY is set and no tenant is called "default"
+//
+// File format (TENANTS_FILE, .json/.yaml; read at startup, invalid config stops the bridge):
+//   defaultTenant: acme                    # calls without a tenant (else "default", else refused)
+//   tenants:
+//     acme:
+//       elevenlabsApiKey: { env: ACME_ELEVENLABS_API_KEY }   # secrets: a string or { env: NAME }
+//       agents: { discovery: agent_abc, daily: agent_def }   # or routes/allowedAgentIds inline
+//       routesFile: acme-routes.yaml                         #   (lib/routing.js format), routesFile or routesTable
+//       policyFile: acme-policy.yaml                         # optional; lib/policy.js format
+//       tuning: { silenceMs: 700, elBufferMs: 200, utterMaxMs: 3000, elReadyFallbackMs: 1000,
+//                 vadMarginDb: 9, vadMinSpeechMs: 100, vadMinEnergyDb: -50, vadNoiseAdaptMs: 2000 }
+//       auth: { tokenSecrets: { env: ACME_TOKEN_SECRETS }, staticToken: ... }   # kids unique across tenants;
+//                                                          # or { allowUnauthenticated: true } (required when neither is set)
+//       features: { recording: false, keypad: true, earlyConnect: true, callWebhooks: true }
+//       webhooks: { urls: [https://acme.example/hook], secret: { env: ACME_WEBHOOK_SECRET } }   # call.completed
+//       transferTargets: { default: "+15550100", billing: "+15550101" }                      # transfer_call tool
+//   Relative file paths resolve against the tenants file. Webhook outboxes: CALL_WEBHOOK_OUTBOX for
+//   the env tenant, <CALL_WEBHOOK_OUTBOX>/tenants/<id> for the rest.
+//
+// Supabase table rows (TENANTS_TABLE): id, enabled, config jsonb (one tenant, format above);
+// polled every TENANTS_REFRESH_MS. An invalid row is logged and skipped, keeping its last good version.
+//
+// Env:
+//   TENANTS_FILE=tenants.yaml | TENANTS_TABLE=bridge_tenants (optional)
+//   TENANTS_REFRESH_MS=60000 DEFAULT_TENANT=acme (optional; DEFAULT_TENANT when the file sets none)
+
+const path = require('path');
+const { readConfigFile } = require('./config-file');
+const { createRoutingRegistry } = require('./routing');
+const { createPolicyProvider } = require('./policy');
+const { createSignedUrlPool } = require('./warmup');
+const { vadOptionsFromParams } = require('./vad');
+const { parseSecrets, tokenKid } = require('./tokens');
+const { createWebhookDispatcher } = require('./webhooks');
+const { parseTransferTargets } = require('./tools');
+
+const ENV_TENANT = 'default';
+const TENANT_ID_RE = /^[a-z0-9][a-z0-9_-]{0,62}$/i;
+const TENANT_KEYS = new Set(['elevenlabsApiKey', 'agents', 'routes', 'allowedAgentIds', 'routesFile', 'routesTable', 'policyFile', 'tuning', 'auth', 'features', 'webhooks', 'transferTargets']);
+const DEFAULT_OUTBOX = '/tmp/call-outbox';
+
+const TUNING_DEFAULTS = { silenceMs: 800, elBufferMs: 200, utterMaxMs: 3000, elReadyFallbackMs: 1000 };
+const VAD_TUNING = { vadMarginDb: 'vad_margin_db', vadMinSpeechMs: 'vad_min_speech_ms', vadMinEnergyDb: 'vad_min_energy_db', vadNoiseAdaptMs: 'vad_noise_adapt_ms' };
+const FEATURE_DEFAULTS = { recording: false, keypad: true, earlyConnect: true, callWebhooks: true };
+
+// ---------- Validation
+
+function secret(v, env, label) {
+  if (v == null || v === '') return null;
+  if (typeof v === 'string') return v;
+  if (v && typeof v === 'object' && typeof v.env === 'string') {
+    if (!env[v.env]) throw new Error(`${label}: env ${v.env} is not set`);
+    return env[v.env];
+  }
+  throw new Error(`${label}: expected a string or { env: NAME }`);
+}
+
+function compileTuning(t = {}, label) {
+  if (!t || typeof t !== 'object') throw new Error(`${label}: expected an object`);
+  const out = { ...TUNING_DEFAULTS };
+  for (const [k, v] of Object.entries(t)) {
+    if (!(k in TUNING_DEFAULTS) && !(k in VAD_TUNING)) throw new Error(`${label}: unknown key "${k}"`);
+    if (!Number.isFinite(v)) throw new Error(`${label}.${k}: must be a number`);
+    if (k in TUNING_DEFAULTS && v < 0) throw new Error(`${label}.${k}: must not be negative`);
+    out[k] = v;
+  }
+  return out;
+}
+
+function compileFeatures(f = {}, label) {
+  if (!f || typeof f !== 'object') throw new Error(`${label}: expected an object`);
+  for (const [k, v] of Object.entries(f)) {
+    if (!(k in FEATURE_DEFAULTS)) throw new Error(`${label}: unknown feature "${k}"`);
+    if (typeof v !== 'boolean') throw new Error(`${label}.${k}: must be true or false`);
+  }
+  return { ...FEATURE_DEFAULTS, ...f };
+}
+
+function compileAuth(a = {}, env, label) {
+  if (!a || typeof a !== 'object') throw new Error(`${label}: expected an object`);
+  for (const k of Object.keys(a)) if (!['tokenSecrets', 'staticToken', 'allowUnauthenticated'].includes(k)) throw new Error(`${label}: unknown key "${k}"`);
+  let tokenKeys;
+  try { tokenKeys = parseSecrets(secret(a.tokenSecrets, env, `${label}.tokenSecrets`)); }
+  catch (e) { throw new Error(e.message.startsWith(label) ? e.message : `${label}.tokenSecrets: entries must be "kid:secret"`); }
+  const staticToken = secret(a.staticToken, env, `${label}.staticToken`);
+  const open = a.allowUnauthenticated ?? false;
+  if (typeof open !== 'boolean') throw new Error(`${label}.allowUnauthenticated: must be true or false`);
+  if (open && (tokenKeys.length || staticToken)) throw new Error(`${label}.allowUnauthenticated: not allowed with tokenSecrets or staticToken`);
+  if (!open && !tokenKeys.length && !staticToken) throw new Error(`${label}: tokenSecrets or staticToken is required (or allowUnauthenticated: true)`);
+  return { tokenKeys, staticToken: tokenKeys.length ? null : staticToken };
+}
+
+// { urls: [...] | "a,b", secret } -> { urls, secret } or null when no URLs are set
+function compileWebhooks(w, env, label) {
+  if (w == null) return null;
+  if (typeof w !== 'object') throw new Error(`${label}: expected { urls, secret }`);
+  for (const k of Object.keys(w)) if (k !== 'urls' && k !== 'secret') throw new Error(`${label}: unknown key "${k}"`);
+  const urls = (Array.isArray(w.urls) ? w.urls : String(w.urls || '').split(',')).map(u => String(u).trim()).filter(Boolean);
+  if (!urls.length) return null;
+  for (const u of urls) if (!/^https?:\/\//i.test(u)) throw new Error(`${label}.urls: "${u}" is not an http(s) URL`);
+  const signingSecret = secret(w.secret, env, `${label}.secret`);
+  if (!signingSecret) throw new Error(`${label}.secret is required with urls`);
+  return { urls, secret: signingSecret };
+}
+
+// { name: "+number" } or "name:+number,..." -> frozen map
+function compileTransferTargets(t, label) {
+  if (t == null) return Object.freeze({});
+  let targets;
+  if (typeof t === 'string') {
+    try { targets = parseTransferTargets(t); } catch { throw new Error(`${label}: entries must be "name:+number"`); }
+  } else if (typeof t === 'object' && !Array.isArray(t)) {
+    targets = { ...t };
+  } else {
+    throw new Error(`${label}: expected { name: "+number" }`);
+  }
+  for (const [name, number] of Object.entries(targets)) {
+    if (typeof number !== 'string' || !number.trim()) throw new Error(`${label}.${name}: must be a phone number or SIP URI`);
+  }
+  return Object.freeze(targets);
+}
+
+// Raw tenant config -> tenant. Routing and policy are built from the config unless given
+// (the env tenant passes its legacy ones); the registry adds the URL pool.
+function compileTenant(id, raw, { env, log, label, baseDir, loopback, routing = null, policies = null }) {
+  if (!TENANT_ID_RE.test(id)) throw new Error(`${label}: tenant id must be letters, digits, - or _`);
+  if (!raw || typeof raw !== 'object') throw new Error(`${label}: expected an object`);
+  for (const k of Object.keys(raw)) if (!TENANT_KEYS.has(k)) throw new Error(`${label}: unknown key "${k}"`);
+
+  const apiKey = secret(raw.elevenlabsApiKey, env, `${label}.elevenlabsApiKey`);
+  if (!apiKey && !loopback) throw new Error(`${label}: elevenlabsApiKey is required`);
+  const resolvePath = f => (baseDir ? path.resolve(baseDir, f) : f);
+
+  const tuning = compileTuning(raw.tuning, `${label}.tuning`);
+  const vadParams = {};
+  for (const [k, param] of Object.entries(VAD_TUNING)) if (tuning[k] !== undefined) vadParams[param] = tuning[k];
+  const auth = compileAuth(raw.auth, env, `${label}.auth`);
+  const features = compileFeatures(raw.features, `${label}.features`);
+  const webhooks = compileWebhooks(raw.webhooks, env, `${label}.webhooks`);
+  const transferTargets = compileTransferTargets(raw.transferTargets, `${label}.transferTargets`);
+
+  // Same registry as the single-tenant bridge, fed only this tenant's agents. Built last: it may start a file watch.
+  if (!routing) {
+    const agents = raw.agents || {};
+    if (typeof agents !== 'object') throw new Error(`${label}.agents: expected { discovery, daily }`);
+    if (!agents.discovery && !agents.daily && !raw.routes && !raw.routesFile && !raw.routesTable) {
+      throw new Error(`${label}: needs agents, routes, routesFile or routesTable`);
+    }
+    const allowed = raw.allowedAgentIds || [];
+    if (!Array.isArray(allowed) || allowed.some(a => typeof a !== 'string' || !a || a.includes(','))) {
+      throw new Error(`${label}.allowedAgentIds: must be a list of agent IDs`);
+    }
+    policies = createPolicyProvider({ env: { CONVERSATION_POLICY_FILE: raw.policyFile ? resolvePath(raw.policyFile) : undefined } });
+    routing = createRoutingRegistry({
+      env: {
+        ELEVENLABS_DISCOVERY_AGENT_ID: agents.discovery,
+        ELEVENLABS_DAILY_AGENT_ID: agents.daily,
+        AGENT_ROUTES_FILE: raw.routesFile ? resolvePath(raw.routesFile) : undefined,
+        AGENT_ROUTES_TABLE: raw.routesTable,
+        AGENT_ALLOWLIST: allowed.join(','),
+        AGENT_ROUTES_REFRESH_MS: env.AGENT_ROUTES_REFRESH_MS,
+        SUPABASE_URL: env.SUPABASE_URL,
+        SUPABASE_SERVICE_ROLE_KEY: env.SUPABASE_SERVICE_ROLE_KEY
+      },
+      log,
+      config: raw.routes ? { routes: raw.routes } : null,
+      label: `${label}.routes`
+    });
+  }
+
+  return {
+    id,
+    apiKey,
+    routing,
+    policies,
+    tuning: Object.freeze(tuning),
+    vad: Object.freeze(vadOptionsFromParams(vadParams, { hangoverMs: tuning.silenceMs })),
+    tokenKeys: auth.tokenKeys,
+    staticToken: auth.staticToken,
+    authRequired: auth.tokenKeys.length > 0 || !!auth.staticToken,
+    features: Object.freeze(features),
+    webhookConfig: webhooks,
+    transferTargets
+  };
+}
+
+// The single-tenant env settings, in tenant config form
+function envTenantConfig(env) {
+  const num = k => (env[k] === undefined || env[k] === '' ? undefined : Number(env[k]));
+  const tuning = {
+    silenceMs: num('SILENCE_MS'), elBufferMs: num('EL_BUFFER_MS'), utterMaxMs: num('UTTER_MAX_MS'), elReadyFallbackMs: num('EL_READY_FALLBACK_MS'),
+    vadMarginDb: num('VAD_MARGIN_DB'), vadMinSpeechMs: num('VAD_MIN_SPEECH_MS'), vadMinEnergyDb: num('VAD_MIN_ENERGY_DB'), vadNoiseAdaptMs: num('VAD_NOISE_ADAPT_MS')
+  };
+  for (const k of Object.keys(tuning)) if (tuning[k] === undefined) delete tuning[k];
+  return {
+    elevenlabsApiKey: env.ELEVENLABS_API_KEY || null,
+    tuning,
+    auth: env.BRIDGE_TOKEN_SECRETS || env.BRIDGE_AUTH_TOKEN
+      ? { tokenSecrets: env.BRIDGE_TOKEN_SECRETS || null, staticToken: env.BRIDGE_AUTH_TOKEN || null }
+      : { allowUnauthenticated: true }, // single-tenant default: auth is off until a secret is set
+    features: {
+      recording: (env.RECORDING_ENABLED || '0').trim() === '1',
+      earlyConnect: (env.EL_EARLY_CONNECT || '1').trim() !== '0'
+    },
+    webhooks: env.CALL_WEBHOOK_URLS ? { urls: env.CALL_WEBHOOK_URLS, secret: env.CALL_WEBHOOK_SECRET || null } : null,
+    transferTargets: env.TRANSFER_TARGETS || null
+  };
+}
+
+// ---------- Registry
+
+function createTenantRegistry({ env = process.env, log = (cat, msg) => console.log(`[${cat}] ${msg}`), fetchSignedUrl = null } = {}) {
+  const loopback = (env.LOOPBACK_ONLY || '').trim() === '1';
+  let tenants = new Map();   // id -> tenant
+  let kidOwners = new Map(); // token kid -> tenant id
+  let fallbackId = null;
+  let source = 'env';
+  let version = 0;
+  let stopWatch = () => {};
+
+  // The env tenant keeps the legacy routing sources (AGENT_ROUTES_FILE/TABLE) and CONVERSATION_POLICY_FILE.
+  // Legacy parsers first so a bad BRIDGE_TOKEN_SECRETS / CALL_WEBHOOK_* / TRANSFER_TARGETS is reported under its own name.
+  function buildEnvTenant() {
+    parseSecrets(env.BRIDGE_TOKEN_SECRETS);
+    parseTransferTargets(env.TRANSFER_TARGETS);
+    if (env.CALL_WEBHOOK_URLS && !env.CALL_WEBHOOK_SECRET) throw new Error('CALL_WEBHOOK_SECRET is required when CALL_WEBHOOK_URLS is set');
+    return compileTenant(ENV_TENANT, envTenantConfig(env), {
+      env, log, label: 'env', loopback: true,
+      policies: createPolicyProvider({ env }),
+      routing: createRoutingRegistry({ env, log })
+    });
+  }
+
+  // Per-tenant runtime pieces: signed URL pool and webhook dispatcher (its own outbox directory)
+  const outboxRoot = env.CALL_WEBHOOK_OUTBOX || DEFAULT_OUTBOX;
+  const withPool = t => Object.freeze({
+    ...t,
+    urlPool: createSignedUrlPool({
+      env: fetchSignedUrl && t.apiKey && !loopback ? env : { EL_URL_POOL_SIZE: '0' },
+      fetchSignedUrl: agentId => fetchSignedUrl(t.apiKey, agentId),
+      agentIds: t.routing.agentIds,
+      log
+    }),
+    webhooks: t.webhookConfig ? createWebhookDispatcher({
+      CALL_WEBHOOK_URLS: t.webhookConfig.urls.join(','),
+      CALL_WEBHOOK_SECRET: t.webhookConfig.secret,
+      CALL_WEBHOOK_OUTBOX: t.id === ENV_TENANT ? outboxRoot : path.join(outboxRoot, 'tenants', t.id),
+      CALL_WEBHOOK_MAX_ATTEMPTS: env.CALL_WEBHOOK_MAX_ATTEMPTS,
+      CALL_WEBHOOK_TIMEOUT_MS: env.CALL_WEBHOOK_TIMEOUT_MS
+    }, { log }) : null
+  });
+
+  const release = t => { t.routing.stop(); t.urlPool.stop(); if (t.webhooks) t.webhooks.stop(); };
+
+  // Key ids must say which tenant signed a token; a clash is a config error
+  function ownersOf(list, onClash) {
+    const owners = new Map();
+    for (const t of list) {
+      const clash = t.tokenKeys.find(k => owners.has(k.kid));
+      if (clash) { onClash(t, clash.kid); continue; }
+      for (const { kid } of t.tokenKeys) owners.set(kid, t.id);
+    }
+    return owners;
+  }
+
+  function install(next, label) {
+    for (const [id, t] of tenants) if (next.get(id) !== t) release(t);
+    tenants = next;
+    version++;
+    log('TENANTS', `Loaded ${tenants.size} tenant(s) from ${label} (v${version})`, { default: fallbackId });
+  }
+
+  const envSource = env.TENANTS_FILE || env.TENANTS_TABLE;
+  const keepEnvTenant = !envSource || !!env.ELEVENLABS_API_KEY;
+
+  if (env.TENANTS_FILE) {
+    const file = env.TENANTS_FILE;
+    source = `file:${file}`;
+    const raw = readConfigFile(file) || {}; // throws at startup on unreadable config
+    for (const k of Object.keys(raw)) if (k !== 'tenants' && k !== 'defaultTenant') throw new Error(`${file}: unknown key "${k}"`);
+    if (!raw.tenants || typeof raw.tenants !== 'object' || Array.isArray(raw.tenants)) throw new Error(`${file}: "tenants" must be an object`);
+    const next = new Map();
+    if (keepEnvTenant && !raw.tenants[ENV_TENANT]) next.set(ENV_TENANT, withPool(buildEnvTenant()));
+    for (const [id, cfg] of Object.entries(raw.tenants)) {
+      next.set(id, withPool(compileTenant(id, cfg, { env, log, label: `${file} tenants.${id}`, baseDir: path.dirname(file), loopback })));
+    }
+    kidOwners = ownersOf([...next.values()], (t, kid) => { throw new Error(`${file} tenants.${t.id}.auth: key id "${kid}" is used by another tenant`); });
+    fallbackId = raw.defaultTenant || env.DEFAULT_TENANT || (next.has(ENV_TENANT) ? ENV_TENANT : null);
+    if (fallbackId && !next.has(fallbackId)) throw new Error(`${file}: defaultTenant "${fallbackId}" is not a tenant`);
+    install(next, file);
+  } else if (env.TENANTS_TABLE) {
+    const table = env.TENANTS_TABLE;
+    source = `supabase:${table}`;
+    const envTenant = keepEnvTenant ? withPool(buildEnvTenant()) : null;
+    fallbackId = env.DEFAULT_TENANT || (envTenant ? ENV_TENANT : null);
+    tenants = envTenant ? new Map([[ENV_TENANT, envTenant]]) : new Map();
+    kidOwners = ownersOf([...tenants.values()], () => {});
+    const rowConfigs = new Map(); // tenant id -> config JSON it was built from
+    const { createClient } = require('@supabase/supabase-js');
+    const db = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_ROLE_KEY, { auth: { persistSession: false } });
+    const load = async () => {
+      const { data, error } = await db.from(table).select('*').eq('enabled', true).order('id', { ascending: true });
+      if (error) throw new Error(error.message);
+      const next = new Map(envTenant && !data.some(r => r.id === ENV_TENANT) ? [[ENV_TENANT, envTenant]] : []);
+      for (const row of data) {
+        const label = `supabase:${table} ${row.id}`;
+        const prev = tenants.get(row.id);
+        const json = JSON.stringify(row.config);
+        // Unchanged rows keep their tenant (and its URL pool and routing refresh)
+        if (prev && rowConfigs.get(row.id) === json) { next.set(row.id, prev); continue; }
+        try {
+          next.set(row.id, withPool(compileTenant(String(row.id), row.config, { env, log, label, loopback })));
+          rowConfigs.set(row.id, json);
+        } catch (e) {
+          log('TENANTS', `Invalid tenant row, ${prev ? `keeping v${version}` : 'skipped'}: ${e.message}`);
+          if (prev) next.set(row.id, prev);
+        }
+      }
+      kidOwners = ownersOf([...next.values()], (t, kid) => {
+        log('TENANTS', `Tenant ${t.id} skipped: key id "${kid}" is used by another tenant`);
+        if (tenants.get(t.id) !== t) release(t);
+        next.delete(t.id);
+      });
+      install(next, `supabase:${table}`);
+    };
+    const refresh = () => load().catch(e => log('TENANTS', `Supabase load failed, keeping v${version}: ${e.message}`));
+    refresh();
+    const timer = setInterval(refresh, parseInt(env.TENANTS_REFRESH_MS || '60000', 10));
+    timer.unref();
+    stopWatch = () => clearInterval(timer);
+  } else {
+    fallbackId = ENV_TENANT;
+    tenants = new Map([[ENV_TENANT, withPool(buildEnvTenant())]]);
+    kidOwners = ownersOf([...tenants.values()], () => {});
+  }
+
+  // { tenantId, token } -> { ok: true, tenant } | { ok: false, reason }. The token is not verified here:
+  // its key id only picks the tenant whose keys will verify it.
+  function resolve({ tenantId, token } = {}) {
+    const owner = kidOwners.get(tokenKid(token)) || null;
+    const id = tenantId ? String(tenantId) : owner || fallbackId;
+    if (tenantId && owner && owner !== id) return { ok: false, reason: 'tenant-mismatch' };
+    const tenant = id ? tenants.get(id) : null;
+    return tenant ? { ok: true, tenant } : { ok: false, reason: 'unknown-tenant' };
+  }
+
+  return {
+    resolve,
+    get(id) { return tenants.get(id) || null; },
+    get fallback() { return fallbackId ? tenants.get(fallbackId) || null : null; },
+    list() { return [...tenants.values()]; },
+    get size() { return tenants.size; },
+    get source() { return source; },
+    get version() { return version; },
+    // Summed over tenants; no agent IDs (served on the unauthenticated /health)
+    poolStats() {
+      const out = { ready: 0, hits: 0, misses: 0, fetched: 0, expired: 0, failures: 0 };
+      for (const t of tenants.values()) {
+        const s = t.urlPool.stats();
+        for (const k of Object.keys(out)) out[k] += k === 'ready' ? Object.values(s.ready || {}).reduce((a, b) => a + b, 0) : s[k] || 0;
+      }
+      return out;
+    },
+    stop() { stopWatch(); for (const t of tenants.values()) release(t); }
+  };
+}
+
+module.exports = { createTenantRegistry, compileTenant, envTenantConfig, TUNING_DEFAULTS, FEATURE_DEFAULTS };
@@ -0,0 +1,72 @@
+// lib/tokens.js – Signed, expiring stream tokens
+// - Format: v1.<base64url(claims)>.<base64url(HMAC-SHA256)>, claims { kid, sid, mode, agent?, tenant?, exp }
+// - Binds the Twilio call SID, mode and (optionally) agent and tenant, with an expiry
+// - Key rotation: BRIDGE_TOKEN_SECRETS="kid2:secret2,kid1:secret1"
+//   The first key signs; every listed key verifies.
+// - Mint from the TwiML builder with mintStreamToken(), or `npm run mint-token`
+
+const crypto = require('crypto');
+
+const VERSION = 'v1';
+const DEFAULT_TTL_SEC = 300;
+const CLOCK_SKEW_SEC = 30;
+
+function parseSecrets(spec) {
+  const keys = [];
+  for (const part of String(spec || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const i = part.indexOf(':');
+    if (i <= 0 || i === part.length - 1) throw new Error('BRIDGE_TOKEN_SECRETS entries must be "kid:secret"');
+    keys.push({ kid: part.slice(0, i), secret: part.slice(i + 1) });
+  }
+  return keys;
+}
+
+const b64url = buf => Buffer.from(buf).toString('base64url');
+const sign = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest();
+
+function mintStreamToken({ callSid, mode, agentId, tenant, ttlSec = DEFAULT_TTL_SEC }, keys, now = Date.now()) {
+  if (!keys || !keys.length) throw new Error('No signing key configured (BRIDGE_TOKEN_SECRETS)');
+  if (!callSid) throw new Error('callSid is required');
+  const { kid, secret } = keys[0];
+  const claims = { kid, sid: callSid, mode: (mode || 'discovery').toLowerCase(), exp: Math.floor(now / 1000) + ttlSec };
+  if (agentId) claims.agent = agentId;
+  if (tenant) claims.tenant = tenant;
+  const body = `${VERSION}.${b64url(JSON.stringify(claims))}`;
+  return `${body}.${b64url(sign(secret, body))}`;
+}
+
+// Signature and expiry only; call binding is checked by checkBinding() once 'start' arrives.
+// Returns { ok: true, claims } or { ok: false, reason }.
+function verifyStreamToken(token, keys, now = Date.now()) {
+  if (!token || typeof token !== 'string') return { ok: false, reason: 'missing-token' };
+  const parts = token.split('.');
+  if (parts.length !== 3 || parts[0] !== VERSION) return { ok: false, reason: 'malformed-token' };
+  let claims;
+  try { claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8')); }
+  catch { return { ok: false, reason: 'malformed-token' }; }
+  const key = keys.find(k => k.kid === claims.kid);
+  if (!key) return { ok: false, reason: 'unknown-key' };
+  const expected = sign(key.secret, `${parts[0]}.${parts[1]}`);
+  const given = Buffer.from(parts[2], 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return { ok: false, reason: 'bad-signature' };
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SEC < now / 1000) return { ok: false, reason: 'token-expired' };
+  return { ok: true, claims };
+}
+
+function checkBinding(claims, { callSid, mode, agentId, tenant }) {
+  if (!claims.sid || claims.sid !== callSid) return 'callsid-mismatch';
+  if (claims.mode && claims.mode !== mode) return 'mode-mismatch';
+  if (claims.agent && agentId && claims.agent !== agentId) return 'agent-mismatch';
+  if (claims.tenant && claims.tenant !== tenant) return 'tenant-mismatch';
+  return null;
+}
+
+// Unverified: only says which key set should verify the token (lib/tenants.js)
+function tokenKid(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3 || parts[0] !== VERSION) return null;
+  try { return JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8')).kid || null; }
+  catch { return null; }
+}
+
+module.exports = { parseSecrets, mintStreamToken, verifyStreamToken, checkBinding, tokenKid, DEFAULT_TTL_SEC };
@@ -0,0 +1,139 @@
+// lib/tools.js – Client tools the agent can call on the bridge
+// - Registry of named handlers, each with a JSON-schema for its parameters
+// - run() validates, applies a timeout, and returns the client_tool_result payload
+// - registerBuiltinTools(): end_call, transfer_call, save_note
+//
+// EL sends:  { type: 'client_tool_call', client_tool_call: { tool_name, tool_call_id, parameters } }
+// We reply:  { type: 'client_tool_result', tool_call_id, result, is_error }
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+class ToolError extends Error {}
+
+// Small JSON-schema subset: type, properties, required, enum, minLength/maxLength, minimum/maximum, items
+function validateSchema(schema, value, at = 'parameters') {
+  if (!schema) return [];
+  const errors = [];
+  const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+  if (schema.type) {
+    const ok = schema.type === 'integer' ? Number.isInteger(value) : schema.type === type;
+    if (!ok) return [`${at} must be ${schema.type}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${at} must be one of ${schema.enum.join(', ')}`);
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${at} is too short`);
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${at} is too long`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${at} must be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${at} must be <= ${schema.maximum}`);
+  }
+  if (type === 'object') {
+    for (const key of schema.required || []) if (value[key] === undefined) errors.push(`${at}.${key} is required`);
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateSchema(sub, value[key], `${at}.${key}`));
+    }
+  }
+  if (type === 'array' && schema.items) value.forEach((v, i) => errors.push(...validateSchema(schema.items, v, `${at}[${i}]`)));
+  return errors;
+}
+
+function createToolRegistry() {
+  const tools = new Map();
+
+  function register(name, { description = '', parameters = { type: 'object' }, timeoutMs = DEFAULT_TIMEOUT_MS, handler }) {
+    if (typeof handler !== 'function') throw new Error(`Tool ${name}: handler is required`);
+    tools.set(name, { name, description, parameters, timeoutMs, handler });
+  }
+
+  // Never rejects: failures become { is_error: true } results for the agent
+  async function run(call, ctx) {
+    const id = call?.tool_call_id;
+    const reply = (result, isError) => ({
+      type: 'client_tool_result',
+      tool_call_id: id,
+      result: typeof result === 'string' ? result : JSON.stringify(result ?? null),
+      is_error: isError
+    });
+
+    const tool = tools.get(call?.tool_name);
+    if (!tool) return reply(`Unknown tool: ${call?.tool_name}`, true);
+    const params = call.parameters ?? {};
+    const errors = validateSchema(tool.parameters, params);
+    if (errors.length) return reply(`Invalid parameters: ${errors.join('; ')}`, true);
+
+    let timer;
+    try {
+      const result = await Promise.race([
+        Promise.resolve().then(() => tool.handler(params, ctx)),
+        new Promise((_, reject) => { timer = setTimeout(() => reject(new ToolError(`timed out after ${tool.timeoutMs}ms`)), tool.timeoutMs); })
+      ]);
+      return reply(result, false);
+    } catch (e) {
+      return reply(`${tool.name} failed: ${e.message}`, true);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return { register, run, has: name => tools.has(name), list: () => [...tools.values()] };
+}
+
+// ctx (per session): { callSid, endCall(reason), saveNote(text), twilio, transferTargets }
+function registerBuiltinTools(registry) {
+  registry.register('end_call', {
+    description: 'End the call after the current agent audio finishes playing',
+    parameters: { type: 'object', properties: { reason: { type: 'string', maxLength: 200 } } },
+    handler: (params, ctx) => {
+      ctx.endCall(params.reason || 'agent_end_call');
+      return { ok: true };
+    }
+  });
+
+  registry.register('transfer_call', {
+    description: 'Hand the caller off to a human at a configured number',
+    parameters: {
+      type: 'object',
+      properties: { target: { type: 'string', maxLength: 64 }, reason: { type: 'string', maxLength: 200 } }
+    },
+    timeoutMs: 10_000,
+    handler: async (params, ctx) => {
+      const target = params.target || 'default';
+      // Own keys only: "constructor" or "__proto__" must not resolve to Object.prototype members
+      const number = Object.hasOwn(ctx.transferTargets, target) ? ctx.transferTargets[target] : null;
+      if (!number) throw new ToolError(`unknown transfer target "${target}"`);
+      if (!ctx.twilio) throw new ToolError('Twilio REST API not configured');
+      if (!ctx.callSid) throw new ToolError('no call SID for this session');
+      await ctx.twilio.transferCall(ctx.callSid, number);
+      return { ok: true, target };
+    }
+  });
+
+  registry.register('save_note', {
+    description: 'Save a short note about the caller to the session record',
+    parameters: {
+      type: 'object',
+      required: ['note'],
+      properties: { note: { type: 'string', minLength: 1, maxLength: 2000 } }
+    },
+    handler: (params, ctx) => {
+      ctx.saveNote(params.note);
+      return { ok: true };
+    }
+  });
+
+  return registry;
+}
+
+// TRANSFER_TARGETS="default:+15550100,billing:+15550101"
+function parseTransferTargets(spec) {
+  const targets = {};
+  for (const part of String(spec || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const i = part.indexOf(':');
+    if (i <= 0) throw new Error('TRANSFER_TARGETS entries must be "name:+number"');
+    targets[part.slice(0, i).trim()] = part.slice(i + 1).trim();
+  }
+  return targets;
+}
+
+module.exports = { createToolRegistry, registerBuiltinTools, parseTransferTargets, validateSchema, ToolError };
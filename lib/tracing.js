@@ -0,0 +1,52 @@
+// lib/tracing.js – Optional OpenTelemetry spans for a call
+// - OTEL_TRACING=1 uses @opentelemetry/api (install it plus an SDK/exporter, e.g. via
+//   node --require @opentelemetry/auto-instrumentations-node/register); otherwise spans are no-ops
+// - Spans: bridge.call (whole stream), el.connect, call.first_audio, call.turn
+
+const NOOP_SPAN = { setAttributes() { return NOOP_SPAN; }, fail() {}, end() {}, context: null };
+
+function createTracing({ env = process.env, log = console.log } = {}) {
+  if ((env.OTEL_TRACING || '0').trim() !== '1') return { enabled: false, startSpan: () => NOOP_SPAN };
+
+  let api;
+  try { api = require('@opentelemetry/api'); }
+  catch { log('OTEL_TRACING=1 but @opentelemetry/api is not installed; tracing disabled'); return { enabled: false, startSpan: () => NOOP_SPAN }; }
+
+  const tracer = api.trace.getTracer(env.OTEL_SERVICE_NAME || 'twilio-ws-bridge');
+
+  // parent: a span returned from here, for nesting under the call span
+  function startSpan(name, attributes = {}, parent = null) {
+    const ctx = parent && parent.context ? parent.context : api.context.active();
+    const span = tracer.startSpan(name, { attributes: clean(attributes) }, ctx);
+    let ended = false;
+    const handle = {
+      context: api.trace.setSpan(ctx, span),
+      setAttributes(attrs) { span.setAttributes(clean(attrs)); return handle; },
+      fail(err) {
+        span.recordException(err);
+        span.setStatus({ code: api.SpanStatusCode.ERROR, message: err.message });
+      },
+      end(attrs) {
+        if (ended) return;
+        ended = true;
+        if (attrs) span.setAttributes(clean(attrs));
+        span.end();
+      }
+    };
+    return handle;
+  }
+
+  return { enabled: true, startSpan };
+}
+
+// OTel attributes must be primitives; drop null/undefined
+function clean(attrs) {
+  const out = {};
+  for (const [k, v] of Object.entries(attrs || {})) {
+    if (v == null) continue;
+    out[k] = typeof v === 'object' ? JSON.stringify(v) : v;
+  }
+  return out;
+}
+
+module.exports = { createTracing };
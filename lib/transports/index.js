@@ -0,0 +1,32 @@
+// lib/transports/index.js – Caller-side transports, one adapter per protocol
+// The bridge core only sees this interface; ElevenLabs, VAD, buffering and playout are shared.
+//
+//   createTransport(kind, ws, { handlers, log, ... }) -> {
+//     kind, category,            // 'twilio' | 'pcm'; log category for stream-level lines
+//     sendAudio(frame),          // one 20 ms μ-law 8k frame toward the caller
+//     sendMark(name),            // acknowledged through handlers.onMark once played (if supported)
+//     supportsMarks,             // false when marks are never echoed (playout then settles by the clock)
+//     sendClear(),               // drop audio the caller has not heard yet
+//     close(code, reason)
+//   }
+//   handlers: onStart({ streamSid, callSid, params, from, to }), onAudio(frame), onMark(name),
+//             onDtmf(key), onStop(), onClose(code, reason), onError(err)
+//   Adapters turn caller audio into 20 ms μ-law 8k frames before onAudio.
+
+const { createTwilioTransport } = require('./twilio');
+const { createPcmTransport } = require('./pcm');
+
+const TRANSPORTS = { twilio: createTwilioTransport, pcm: createPcmTransport };
+
+// WebSocket path -> transport kind
+const TRANSPORT_PATHS = { '/ws': 'twilio', '/media-stream': 'twilio', '/pcm-stream': 'pcm' };
+
+function transportForPath(pathname) { return TRANSPORT_PATHS[pathname] || null; }
+
+function createTransport(kind, ws, options) {
+  const create = TRANSPORTS[kind];
+  if (!create) throw new Error(`Unknown transport: ${kind}`);
+  return create(ws, options);
+}
+
+module.exports = { createTransport, transportForPath, TRANSPORT_PATHS };
@@ -0,0 +1,113 @@
+// lib/transports/pcm.js – Linear PCM WebSocket adapter (browser clients, Vonage-style audio sockets)
+// - Audio both ways is binary 16-bit little-endian mono at the client's sampleRate;
+//   inbound is converted to the bridge's 20 ms μ-law 8k frames, outbound back again
+// - Control messages are JSON text:
+//     client -> bridge  { "event": "start", "sampleRate": 16000, "callId"?, "streamId"?, "parameters": { mode, token, caller_phone, ... } }
+//                       { "event": "mark", "name": "maggie-3" }   (echo once the audio before it has played)
+//                       { "event": "dtmf", "digit": "5" }
+//                       { "event": "stop" }
+//     bridge -> client  { "event": "mark", "name": "maggie-3" }
+//                       { "event": "clear" }                      (drop any audio not yet played)
+//   parameters are the same keys Twilio sends as customParameters (token binds callId like a CallSid)
+// - /pcm-stream?tenant=...&mode=...&agent_id=...&token=... lets the bridge connect the agent before 'start' (EL_EARLY_CONNECT);
+//   start parameters still decide, a mismatched early connection is dropped
+// - Vonage: the first message { "event": "websocket:connected", "content-type": "audio/l16;rate=16000", ...headers }
+//   also starts a stream (headers become parameters, a call_id header is the callId) and websocket:dtmf
+//   carries key presses; Vonage gets audio only, no mark/clear text
+
+const crypto = require('crypto');
+const { TELEPHONY_RATE, createResampler, muLawToPcm16, pcm16ToMuLaw, bytesToPcm16, pcm16ToBytes } = require('../codec');
+
+const FRAME_BYTES = 160; // 20 ms of μ-law 8k
+const MIN_RATE = 8000, MAX_RATE = 48000;
+
+function createPcmTransport(ws, { handlers, log }) {
+  let started = false, vonage = false;
+  let sampleRate = 0;
+  let toBridge = null, toClient = null; // resamplers, set on start
+  let carry = null;                     // odd trailing byte of the last binary message
+  let pending = Buffer.alloc(0);        // μ-law not yet a full frame
+
+  const sendJson = (obj, what) => {
+    if (!started || vonage) return;
+    try { ws.send(JSON.stringify(obj)); }
+    catch (e) { log('ERROR', `Send ${what} to PCM client failed`, { error: e.message }); }
+  };
+
+  function start(rate, { callSid, streamSid, params }) {
+    if (!Number.isInteger(rate) || rate < MIN_RATE || rate > MAX_RATE) {
+      log('ERROR', `PCM start rejected: sampleRate ${rate}`);
+      try { ws.close(1003, 'bad-sample-rate'); } catch {}
+      return;
+    }
+    started = true;
+    sampleRate = rate;
+    toBridge = createResampler(rate, TELEPHONY_RATE);
+    toClient = createResampler(TELEPHONY_RATE, rate);
+    handlers.onStart({
+      streamSid: streamSid || `PCM${crypto.randomBytes(8).toString('hex')}`,
+      callSid: callSid || null,
+      params,
+      from: params.from || null,
+      to: params.to || null
+    });
+  }
+
+  function onBinary(buf) {
+    if (!started) return;
+    if (carry) { buf = Buffer.concat([carry, buf]); carry = null; }
+    if (buf.length & 1) { carry = Buffer.from(buf.subarray(buf.length - 1)); buf = buf.subarray(0, buf.length - 1); }
+    pending = Buffer.concat([pending, pcm16ToMuLaw(toBridge.process(bytesToPcm16(buf)))]);
+    let o = 0;
+    for (; o + FRAME_BYTES <= pending.length; o += FRAME_BYTES) handlers.onAudio(pending.subarray(o, o + FRAME_BYTES));
+    pending = pending.subarray(o);
+  }
+
+  ws.on('message', (data, isBinary) => {
+    if (isBinary) return onBinary(data);
+    let msg; try { msg = JSON.parse(data.toString()); } catch { log('ERROR', 'Invalid JSON from PCM client'); return; }
+    const event = msg?.event;
+    log('PCM_RAW', `Event: ${event}`);
+
+    if (event === 'start') {
+      if (started) return;
+      const params = msg.parameters && typeof msg.parameters === 'object' ? msg.parameters : {};
+      return start(parseInt(msg.sampleRate, 10), { callSid: msg.callId, streamSid: msg.streamId, params });
+    }
+
+    if (event === 'websocket:connected') {
+      if (started) return;
+      vonage = true;
+      const { event: _event, 'content-type': contentType, ...params } = msg;
+      const rate = /rate=(\d+)/.exec(String(contentType || ''));
+      return start(rate ? parseInt(rate[1], 10) : 16000, { callSid: params.call_id || null, streamSid: null, params });
+    }
+
+    if (event === 'mark') return handlers.onMark(msg.name);
+    if (event === 'dtmf' || event === 'websocket:dtmf') return handlers.onDtmf(msg.digit);
+    if (event === 'stop') return handlers.onStop();
+
+    log('PCM', 'Unhandled event', { event });
+  });
+
+  ws.on('close', (code, reason) => handlers.onClose(code, reason?.toString()));
+  ws.on('error', (err) => handlers.onError(err));
+
+  return {
+    kind: 'pcm',
+    category: 'PCM',
+    get sampleRate() { return sampleRate; },
+    get supportsMarks() { return !vonage; },
+    // 20 ms of μ-law 8k in, 20 ms of PCM at sampleRate out
+    sendAudio(frame) {
+      if (!started) return;
+      try { ws.send(pcm16ToBytes(toClient.process(muLawToPcm16(frame)))); }
+      catch (e) { log('ERROR', 'Send audio to PCM client failed', { error: e.message }); }
+    },
+    sendMark(name) { sendJson({ event: 'mark', name }, 'mark'); },
+    sendClear() { sendJson({ event: 'clear' }, 'clear'); },
+    close(code, reason) { try { ws.close(code, reason); } catch {} }
+  };
+}
+
+module.exports = { createPcmTransport };
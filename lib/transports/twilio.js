@@ -0,0 +1,88 @@
+// lib/transports/twilio.js – Twilio Media Streams adapter
+// - Inbound: connected/start/media/mark/dtmf/stop JSON events; only the inbound track is used
+// - Outbound: base64 μ-law 8k media, mark and clear events tagged with the streamSid
+// - Twilio echoes a mark once the audio sent before it has played
+// - One stream per socket: a repeated 'start' is ignored
+
+function createTwilioTransport(ws, { handlers, log, logFramesEvery = 0 }) {
+  let started = false, streamSid = null;
+  let seq = 0, chunk = 0, tsMs = 0;
+
+  const send = (obj, what) => {
+    if (!streamSid) return;
+    try { ws.send(JSON.stringify(obj)); }
+    catch (e) { log('ERROR', `Send ${what} to Twilio failed`, { error: e.message }); }
+  };
+
+  ws.on('message', (buf) => {
+    let msg; try { msg = JSON.parse(buf.toString()); } catch { log('ERROR', 'Invalid JSON from Twilio'); return; }
+    const event = msg?.event;
+    if (event !== 'mark') {
+      log('TWILIO_RAW', `Event: ${event}`, {
+        hasPayload: !!(msg?.media?.payload),
+        streamSid: msg?.streamSid || msg?.start?.streamSid,
+        payloadLength: msg?.media?.payload?.length || 0
+      });
+    }
+
+    if (event === 'connected') return;
+
+    if (event === 'start') {
+      if (started) return;
+      started = true;
+      const start = msg.start || {};
+      streamSid = msg.streamSid || start.streamSid || null;
+      seq = 0; chunk = 0; tsMs = 0;
+      handlers.onStart({
+        streamSid,
+        callSid: start.callSid || null,
+        params: start.customParameters || {},
+        from: start.from || null,
+        to: start.to || null
+      });
+      return;
+    }
+
+    if (event === 'media') {
+      const track = msg?.media?.track;
+      if (track && track !== 'inbound') return;
+      const muLawB64 = msg?.media?.payload;
+      if (!muLawB64) { log('ERROR', 'Media missing payload'); return; }
+      handlers.onAudio(Buffer.from(muLawB64, 'base64'));
+      return;
+    }
+
+    if (event === 'mark') return handlers.onMark(msg.mark?.name);
+    if (event === 'dtmf') return handlers.onDtmf(msg.dtmf?.digit);
+    if (event === 'stop') return handlers.onStop();
+
+    log('TWILIO', 'Unhandled event', { event });
+  });
+
+  ws.on('close', (code, reason) => handlers.onClose(code, reason?.toString()));
+  ws.on('error', (err) => handlers.onError(err));
+
+  return {
+    kind: 'twilio',
+    category: 'TWILIO',
+    supportsMarks: true,
+    // 20 ms of μ-law 8k
+    sendAudio(frame) {
+      send({
+        event: 'media',
+        streamSid,
+        sequenceNumber: String(++seq),
+        media: { track: 'outbound', chunk: String(++chunk), timestamp: String(tsMs), payload: frame.toString('base64') }
+      }, 'audio');
+      tsMs += 20;
+      if (logFramesEvery > 0 && (seq % logFramesEvery === 0)) {
+        log('TWILIO_SEND', 'Audio frame sent', { seq, chunk, tsMs, bytes: frame.length });
+      }
+    },
+    sendMark(name) { send({ event: 'mark', streamSid, mark: { name } }, 'mark'); },
+    sendClear() { send({ event: 'clear', streamSid }, 'clear'); },
+    close(code, reason) { try { ws.close(code, reason); } catch {} }
+  };
+}
+
+module.exports = { createTwilioTransport };
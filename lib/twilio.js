@@ -0,0 +1,76 @@
+// lib/twilio.js – Twilio webhook helpers
+// - validateSignature(): X-Twilio-Signature check (HMAC-SHA1 over URL + sorted POST params)
+// - buildStreamTwiml(): <Connect><Stream> TwiML with <Parameter> elements
+// - publicUrl()/publicBaseUrl(): the URL Twilio actually requested, for signature checks behind a proxy
+// - createTwilioRestClient(): the few REST calls the bridge makes (call transfer);
+//   createStubTwilioClient() records them instead, for local runs and tests
+
+const crypto = require('crypto');
+
+function computeSignature(authToken, fullUrl, params = {}) {
+  const data = Object.keys(params).sort().reduce((acc, k) => acc + k + params[k], fullUrl);
+  return crypto.createHmac('sha1', authToken).update(Buffer.from(data, 'utf8')).digest('base64');
+}
+
+function validateSignature(authToken, fullUrl, params, signature) {
+  if (!authToken || !signature) return false;
+  const expected = Buffer.from(computeSignature(authToken, fullUrl, params));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+function publicBaseUrl(req, baseUrl) {
+  if (baseUrl) return baseUrl.replace(/\/+$/, '');
+  const proto = String(req.headers['x-forwarded-proto'] || 'https').split(',')[0].trim();
+  const host = req.headers['x-forwarded-host'] || req.headers.host;
+  return `${proto}://${host}`;
+}
+
+function publicUrl(req, baseUrl) { return publicBaseUrl(req, baseUrl) + req.url; }
+
+function xmlEscape(s) {
+  return String(s).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+// parameters: { name: value }; empty values are left out
+function buildStreamTwiml({ streamUrl, parameters = {}, statusCallback = null }) {
+  const params = Object.entries(parameters)
+    .filter(([, v]) => v !== undefined && v !== null && v !== '')
+    .map(([k, v]) => `<Parameter name="${xmlEscape(k)}" value="${xmlEscape(v)}"/>`)
+    .join('');
+  const cb = statusCallback ? ` statusCallback="${xmlEscape(statusCallback)}"` : '';
+  return '<?xml version="1.0" encoding="UTF-8"?>' +
+    `<Response><Connect><Stream url="${xmlEscape(streamUrl)}"${cb}>${params}</Stream></Connect></Response>`;
+}
+
+// ---------- REST
+
+function createTwilioRestClient({ accountSid, authToken, fetchImpl = fetch }) {
+  const auth = 'Basic ' + Buffer.from(`${accountSid}:${authToken}`).toString('base64');
+  return {
+    kind: 'rest',
+    async transferCall(callSid, number) {
+      const twiml = `<?xml version="1.0" encoding="UTF-8"?><Response><Dial>${xmlEscape(number)}</Dial></Response>`;
+      const r = await fetchImpl(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Calls/${callSid}.json`, {
+        method: 'POST',
+        headers: { Authorization: auth, 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ Twiml: twiml })
+      });
+      if (!r.ok) throw new Error(`Twilio call update ${r.status}`);
+    }
+  };
+}
+
+function createStubTwilioClient() {
+  const transfers = [];
+  return {
+    kind: 'stub',
+    transfers,
+    async transferCall(callSid, number) { transfers.push({ callSid, number, at: Date.now() }); }
+  };
+}
+
+module.exports = {
+  computeSignature, validateSignature, publicBaseUrl, publicUrl, buildStreamTwiml, xmlEscape,
+  createTwilioRestClient, createStubTwilioClient
+};
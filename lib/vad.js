@@ -0,0 +1,114 @@
+// lib/vad.js – Energy-based voice activity detection for 8 kHz μ-law frames
+// - Decodes μ-law to PCM16 and measures per-frame energy (dBFS)
+// - Tracks an adaptive noise floor (fast down, slow up) while not in speech
+// - In speech the floor follows the quietest frame of each speechFloorWindowMs window at the
+//   slow rate: speech dips to the line noise between words, so the floor holds while someone
+//   talks, but a jump in line noise ends the turn instead of holding it open until the hard cap
+// - Speech starts after minSpeechMs of frames above floor + marginDb
+// - Speech ends after hangoverMs below threshold
+//
+// Pure and timer-free: feed it frames, it reports { speech, event } per frame.
+
+const { MULAW_DECODE, muLawToPcm16 } = require('./codec');
+
+const FRAME_BYTES_PER_MS = 8; // μ-law 8 kHz: 1 byte per sample
+
+const DEFAULTS = {
+  marginDb: 9,          // how far above the noise floor counts as speech
+  minEnergyDb: -50,     // frames quieter than this are never speech
+  minSpeechMs: 100,     // sustained energy required before 'start'
+  hangoverMs: 800,      // trailing quiet required before 'end'
+  noiseAdaptMs: 2000,   // time constant for the floor rising toward louder noise
+  speechFloorWindowMs: 400, // in speech: window whose quietest frame the floor follows
+  initialFloorDb: -60
+};
+
+// Per-call overrides from Twilio customParameters (vad_margin_db, vad_min_speech_ms, ...)
+const PARAM_KEYS = {
+  vad_margin_db: 'marginDb',
+  vad_min_energy_db: 'minEnergyDb',
+  vad_min_speech_ms: 'minSpeechMs',
+  vad_hangover_ms: 'hangoverMs',
+  vad_noise_adapt_ms: 'noiseAdaptMs'
+};
+
+function frameEnergyDb(muBuf) {
+  if (!muBuf.length) return -Infinity;
+  let sum = 0;
+  for (let i = 0; i < muBuf.length; i++) { const s = MULAW_DECODE[muBuf[i]]; sum += s * s; }
+  const rms = Math.sqrt(sum / muBuf.length);
+  return rms > 0 ? 20 * Math.log10(rms / 32768) : -Infinity;
+}
+
+function vadOptionsFromParams(params = {}, base = {}) {
+  const opts = { ...base };
+  for (const [key, opt] of Object.entries(PARAM_KEYS)) {
+    if (params[key] === undefined || params[key] === '') continue;
+    const n = Number(params[key]);
+    if (Number.isFinite(n)) opts[opt] = n;
+  }
+  return opts;
+}
+
+function createVad(options = {}) {
+  const cfg = { ...DEFAULTS, ...options };
+  let noiseFloorDb = cfg.initialFloorDb;
+  let speech = false;
+  let aboveMs = 0;   // consecutive loud audio while not in speech
+  let belowMs = 0;   // consecutive quiet audio while in speech
+  let windowMs = 0, windowMinDb = Infinity; // current speech window
+
+  function process(muBuf) {
+    const frameMs = muBuf.length / FRAME_BYTES_PER_MS;
+    const energyDb = frameEnergyDb(muBuf);
+    const thresholdDb = Math.max(cfg.minEnergyDb, noiseFloorDb + cfg.marginDb);
+    const loud = energyDb >= thresholdDb;
+    let event = null;
+
+    if (!speech) {
+      if (loud) {
+        aboveMs += frameMs;
+        if (aboveMs >= cfg.minSpeechMs) { speech = true; belowMs = 0; resetWindow(); event = 'start'; }
+      } else {
+        aboveMs = 0;
+      }
+      // Only learn the floor from non-speech audio
+      if (!speech && Number.isFinite(energyDb)) {
+        const alpha = energyDb < noiseFloorDb ? 0.2 : Math.min(1, frameMs / Math.max(1, cfg.noiseAdaptMs));
+        noiseFloorDb += alpha * (energyDb - noiseFloorDb);
+      }
+    } else if (loud) {
+      belowMs = 0;
+    } else {
+      belowMs += frameMs;
+      if (belowMs >= cfg.hangoverMs) { speech = false; aboveMs = 0; event = 'end'; }
+    }
+    if (speech && event !== 'start') learnInSpeech(energyDb, frameMs);
+
+    return { speech, event, energyDb, noiseFloorDb, thresholdDb };
+  }
+
+  function resetWindow() { windowMs = 0; windowMinDb = Infinity; }
+
+  // Digital silence (-Infinity) says nothing about the line noise and is skipped, as outside speech
+  function learnInSpeech(energyDb, frameMs) {
+    windowMs += frameMs;
+    if (Number.isFinite(energyDb)) windowMinDb = Math.min(windowMinDb, energyDb);
+    if (windowMs < cfg.speechFloorWindowMs) return;
+    if (Number.isFinite(windowMinDb)) noiseFloorDb += Math.min(1, windowMs / Math.max(1, cfg.noiseAdaptMs)) * (windowMinDb - noiseFloorDb);
+    resetWindow();
+  }
+
+  // Drop the current utterance but keep the learned noise floor
+  function resetSpeech() { speech = false; aboveMs = 0; belowMs = 0; resetWindow(); }
+
+  return {
+    process,
+    resetSpeech,
+    get speech() { return speech; },
+    get noiseFloorDb() { return noiseFloorDb; },
+    get config() { return { ...cfg }; }
+  };
+}
+
+module.exports = { createVad, vadOptionsFromParams, muLawToPcm16, frameEnergyDb, VAD_DEFAULTS: DEFAULTS };
@@ -0,0 +1,76 @@
+// lib/warmup.js – Pre-warmed ElevenLabs signed URLs
+// - Keeps up to `size` signed URLs per agent, fetched ahead of calls; each URL is used once
+// - URLs older than ttlMs - REFRESH_MARGIN_MS are dropped and replaced in the background
+// - take(agentId) -> url | null (pool empty: the caller fetches inline); an agent seen in take()
+//   is pooled from then on, alongside the agentIds given at startup
+//
+// Env:
+//   EL_URL_POOL_SIZE=2 (optional; per agent, 0 disables)
+//   EL_SIGNED_URL_TTL_MS=600000 (optional; keep under the lifetime ElevenLabs gives signed URLs)
+
+const REFRESH_MARGIN_MS = 60_000;
+const REFRESH_EVERY_MS = 30_000;
+
+function createSignedUrlPool({ env = process.env, fetchSignedUrl, agentIds = [], log = () => {} }) {
+  const size = parseInt(env.EL_URL_POOL_SIZE || '2', 10);
+  const ttlMs = parseInt(env.EL_SIGNED_URL_TTL_MS || '600000', 10);
+  if (!size || size < 0) return { size: 0, ttlMs, take: () => null, stats: () => ({}), stop() {} };
+
+  const pools = new Map();   // agentId -> [{ url, fetchedAt }], oldest first
+  const filling = new Set(); // agentIds with a fill in flight
+  const counters = { hits: 0, misses: 0, fetched: 0, expired: 0, failures: 0 };
+
+  const isFresh = e => Date.now() - e.fetchedAt < ttlMs - REFRESH_MARGIN_MS;
+
+  // In place: take() and fill() share the array
+  function prune(pool) {
+    for (let i = pool.length - 1; i >= 0; i--) {
+      if (!isFresh(pool[i])) { pool.splice(i, 1); counters.expired++; }
+    }
+  }
+
+  async function fill(agentId) {
+    if (filling.has(agentId)) return;
+    filling.add(agentId);
+    if (!pools.has(agentId)) pools.set(agentId, []);
+    const pool = pools.get(agentId);
+    try {
+      prune(pool);
+      while (pool.length < size) {
+        const url = await fetchSignedUrl(agentId);
+        pool.push({ url, fetchedAt: Date.now() });
+        counters.fetched++;
+      }
+    } catch (e) {
+      counters.failures++;
+      log('WARN', `Signed URL prefetch failed: ${e.message}`, { agentId: agentId.slice(0, 8) + '...' });
+    } finally {
+      filling.delete(agentId);
+    }
+  }
+
+  function take(agentId) {
+    const pool = pools.get(agentId);
+    if (pool) prune(pool);
+    const entry = pool && pool.shift();
+    if (entry) counters.hits++; else counters.misses++;
+    fill(agentId);
+    return entry ? entry.url : null;
+  }
+
+  for (const id of new Set(agentIds)) if (id) fill(id);
+  const timer = setInterval(() => { for (const id of pools.keys()) fill(id); }, REFRESH_EVERY_MS);
+  timer.unref();
+
+  return {
+    size, ttlMs, take,
+    stats() {
+      const ready = {};
+      for (const [id, pool] of pools) ready[id] = pool.filter(isFresh).length;
+      return { ready, ...counters };
+    },
+    stop() { clearInterval(timer); }
+  };
+}
+
+module.exports = { createSignedUrlPool };
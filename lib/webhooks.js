@@ -0,0 +1,163 @@
+// lib/webhooks.js – Signed webhook delivery with an on-disk outbox
+// - enqueue(event, payload) writes one file per URL before the first attempt, so records survive restarts
+// - Failed deliveries retry with backoff; after maxAttempts the file moves to <outbox>/dead
+// - Outbox I/O errors are logged, never thrown: an entry that can't be written stays in memory and
+//   is retried from there (lost on restart), so call teardown never fails on a full or missing disk
+// - Each POST is signed: X-Bridge-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+//
+// Env:
+//   CALL_WEBHOOK_URLS=https://a.example/hook,https://b.example/hook (optional; enables delivery)
+//   CALL_WEBHOOK_SECRET (required with CALL_WEBHOOK_URLS)
+//   CALL_WEBHOOK_OUTBOX=/tmp/call-outbox CALL_WEBHOOK_MAX_ATTEMPTS=10 CALL_WEBHOOK_TIMEOUT_MS=5000 (optional)
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const RETRY_BASE_MS = 5000;
+const RETRY_MAX_MS = 10 * 60_000;
+const PUMP_EVERY_MS = 5000;
+
+function signPayload(secret, body, t = Math.floor(Date.now() / 1000)) {
+  const mac = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+  return `t=${t},v1=${mac}`;
+}
+
+// For receivers: true when the header matches the raw body and is within toleranceSec
+function verifySignature(secret, header, body, { toleranceSec = 300, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(p => p.split('=').map(s => s.trim())));
+  const t = parseInt(parts.t, 10);
+  if (!t || !parts.v1 || Math.abs(now / 1000 - t) > toleranceSec) return false;
+  const expected = Buffer.from(signPayload(secret, body, t).split('v1=')[1], 'hex');
+  const given = Buffer.from(parts.v1, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function createWebhookDispatcher(env = process.env, { log = (cat, msg, data) => console.log(`[${cat}] ${msg}`, data || '') } = {}) {
+  const urls = (env.CALL_WEBHOOK_URLS || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (!urls.length) return null;
+  const secret = env.CALL_WEBHOOK_SECRET;
+  if (!secret) throw new Error('CALL_WEBHOOK_SECRET is required when CALL_WEBHOOK_URLS is set');
+  const outbox = env.CALL_WEBHOOK_OUTBOX || '/tmp/call-outbox';
+  const deadDir = path.join(outbox, 'dead');
+  const maxAttempts = parseInt(env.CALL_WEBHOOK_MAX_ATTEMPTS || '10', 10);
+  const timeoutMs = parseInt(env.CALL_WEBHOOK_TIMEOUT_MS || '5000', 10);
+  fs.mkdirSync(deadDir, { recursive: true });
+
+  const inFlight = new Set(); // file names being delivered right now
+  const unsaved = new Map();   // id -> entry whose outbox write failed; pumped from memory
+
+  const fileFor = id => path.join(outbox, `${id}.json`);
+  const save = entry => {
+    const tmp = `${fileFor(entry.id)}.tmp`;
+    try {
+      fs.writeFileSync(tmp, JSON.stringify(entry));
+      fs.renameSync(tmp, fileFor(entry.id)); // atomic: a crash never leaves half a record
+      unsaved.delete(entry.id);
+    } catch (e) {
+      unsaved.set(entry.id, entry);
+      log('ERROR', `Webhook outbox write failed; keeping entry in memory: ${e.message}`, { id: entry.id, url: entry.url });
+    }
+  };
+  const settle = (entry, to) => {
+    unsaved.delete(entry.id);
+    try {
+      if (to) fs.renameSync(fileFor(entry.id), to);
+      else fs.rmSync(fileFor(entry.id), { force: true });
+    } catch (e) {
+      if (e.code !== 'ENOENT') log('ERROR', `Webhook outbox cleanup failed: ${e.message}`, { id: entry.id });
+    }
+  };
+
+  async function attempt(entry) {
+    if (inFlight.has(entry.id)) return;
+    inFlight.add(entry.id);
+    try {
+      let status = 0, error = null;
+      try {
+        const res = await fetch(entry.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Bridge-Event': entry.event,
+            'X-Bridge-Delivery': entry.id,
+            'X-Bridge-Signature': signPayload(secret, entry.body)
+          },
+          body: entry.body,
+          signal: AbortSignal.timeout(timeoutMs)
+        });
+        status = res.status;
+      } catch (e) { error = e.message; }
+
+      if (status >= 200 && status < 300) {
+        settle(entry);
+        log('WEBHOOK', 'Delivered', { id: entry.id, event: entry.event, url: entry.url, attempts: entry.attempts + 1 });
+        return;
+      }
+      entry.attempts += 1;
+      entry.lastError = error || `HTTP ${status}`;
+      if (entry.attempts >= maxAttempts) {
+        settle(entry, path.join(deadDir, `${entry.id}.json`));
+        log('ERROR', 'Webhook delivery gave up', { id: entry.id, url: entry.url, attempts: entry.attempts, error: entry.lastError });
+        return;
+      }
+      entry.nextAttemptAt = Date.now() + Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (entry.attempts - 1));
+      save(entry);
+      log('WARN', 'Webhook delivery failed; will retry', { id: entry.id, url: entry.url, attempts: entry.attempts, error: entry.lastError });
+    } finally {
+      inFlight.delete(entry.id);
+    }
+  }
+
+  const deliver = entry => attempt(entry).catch(e => log('ERROR', `Webhook delivery crashed: ${e.message}`, { id: entry.id, url: entry.url }));
+
+  // Retries anything due in the outbox (including files left by a previous process) or held in memory
+  function pump() {
+    const now = Date.now();
+    for (const entry of unsaved.values()) if (entry.nextAttemptAt <= now) deliver(entry);
+    let names;
+    try { names = fs.readdirSync(outbox).filter(n => n.endsWith('.json')); }
+    catch (e) { log('ERROR', `Webhook outbox unreadable: ${e.message}`); return; }
+    for (const name of names) {
+      let entry;
+      try { entry = JSON.parse(fs.readFileSync(path.join(outbox, name), 'utf8')); }
+      catch { continue; } // being rewritten; next pump
+      if (unsaved.has(entry.id)) continue; // stale file; the in-memory copy is newer
+      if (entry.nextAttemptAt <= now) deliver(entry);
+    }
+  }
+
+  const timer = setInterval(pump, PUMP_EVERY_MS);
+  timer.unref();
+  pump();
+
+  return {
+    urls,
+    outbox,
+    // Persisted (or held in memory) before this returns; resolves after the first attempt at each URL.
+    // Never throws or rejects: it runs inside call teardown
+    enqueue(event, payload) {
+      let entries;
+      try {
+        const body = JSON.stringify({ event, sent_at: new Date().toISOString(), data: payload });
+        entries = urls.map(url => ({
+          id: `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`,
+          event, url, body, attempts: 0, nextAttemptAt: 0, createdAt: new Date().toISOString()
+        }));
+      } catch (e) {
+        log('ERROR', `Webhook payload not serializable: ${e.message}`, { event });
+        return Promise.resolve();
+      }
+      for (const e of entries) save(e);
+      return Promise.all(entries.map(deliver));
+    },
+    pending() {
+      let onDisk = 0;
+      try { onDisk = fs.readdirSync(outbox).filter(n => n.endsWith('.json')).length; } catch {}
+      return onDisk + unsaved.size;
+    },
+    stop() { clearInterval(timer); }
+  };
+}
+
+module.exports = { createWebhookDispatcher, signPayload, verifySignature };
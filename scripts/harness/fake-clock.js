@@ -0,0 +1,100 @@
+// scripts/harness/fake-clock.js – Fake timers for the bridge harness
+// - install() swaps the global setTimeout/setInterval/clear*/Date.now for virtual time
+// - tick(ms) fires due timers in order, yielding to real I/O between each one
+// - setImmediate stays real, so sockets keep flowing while time is frozen
+// Sockets are real: wait for I/O with until(), advance time with tick().
+
+const real = {
+  setTimeout: global.setTimeout,
+  clearTimeout: global.clearTimeout,
+  setInterval: global.setInterval,
+  clearInterval: global.clearInterval,
+  setImmediate: global.setImmediate,
+  now: Date.now
+};
+
+const yieldIo = () => new Promise(resolve => real.setImmediate(resolve));
+
+function createFakeClock({ start = Date.UTC(2024, 0, 1, 12) } = {}) {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map(); // id -> { at, every, fn, args }
+
+  function add(fn, ms, args, repeat) {
+    const id = nextId++;
+    const delay = Math.max(1, Number(ms) || 0);
+    timers.set(id, { at: now + delay, every: repeat ? delay : 0, fn, args });
+    // Enough of Node's Timeout for ws, undici and .unref() callers
+    return {
+      id,
+      unref() { return this; },
+      ref() { return this; },
+      hasRef() { return true; },
+      refresh() { const t = timers.get(id); if (t) t.at = now + delay; return this; },
+      [Symbol.toPrimitive]() { return id; }
+    };
+  }
+
+  const clear = handle => { if (handle != null) timers.delete(typeof handle === 'object' ? handle.id : Number(handle)); };
+
+  function nextDue(until) {
+    let best = null, bestId = 0;
+    for (const [id, t] of timers) {
+      if (t.at <= until && (!best || t.at < best.at || (t.at === best.at && id < bestId))) { best = t; bestId = id; }
+    }
+    return best ? [bestId, best] : null;
+  }
+
+  return {
+    get now() { return now; },
+    get pending() { return timers.size; },
+
+    install() {
+      global.setTimeout = (fn, ms, ...args) => add(fn, ms, args, false);
+      global.setInterval = (fn, ms, ...args) => add(fn, ms, args, true);
+      global.clearTimeout = clear;
+      global.clearInterval = clear;
+      Date.now = () => now;
+    },
+
+    uninstall() {
+      global.setTimeout = real.setTimeout;
+      global.clearTimeout = real.clearTimeout;
+      global.setInterval = real.setInterval;
+      global.clearInterval = real.clearInterval;
+      Date.now = real.now;
+    },
+
+    // Advance virtual time by ms, firing every timer that comes due
+    async tick(ms) {
+      const until = now + ms;
+      for (let due = nextDue(until); due; due = nextDue(until)) {
+        const [id, t] = due;
+        now = t.at;
+        if (t.every) t.at += t.every; else timers.delete(id);
+        t.fn(...t.args);
+        await yieldIo();
+      }
+      now = until;
+      await yieldIo();
+    }
+  };
+}
+
+// Wait in real time for I/O-driven state; virtual time does not move
+async function until(predicate, { timeoutMs = 2000, label = 'condition' } = {}) {
+  const deadline = real.now() + timeoutMs;
+  for (;;) {
+    const value = predicate();
+    if (value) return value;
+    if (real.now() > deadline) throw new Error(`Timed out waiting for ${label}`);
+    await new Promise(resolve => real.setTimeout(resolve, 5));
+  }
+}
+
+// Let in-flight socket traffic land without advancing virtual time
+async function settle(ms = 30) {
+  await new Promise(resolve => real.setTimeout(resolve, ms));
+}
+
+module.exports = { createFakeClock, until, settle, real };
@@ -0,0 +1,120 @@
+// scripts/harness/fake-elevenlabs.js – Local stand-in for the ElevenLabs ConvAI API
+// - GET /v1/convai/conversation/get_signed_url -> ws URL back to this server
+// - WS /v1/convai/conversation (signed) and /v1/convai/twilio (fallback)
+// - Each connection is scriptable: sendMetadata(), sendAudio(), interrupt(), ...
+//
+// Options:
+//   signedUrlStatus: 500     make get_signed_url fail (exercises the fallback)
+//   refuseUpgrades: 1        drop the first N WebSocket upgrades (connect failures)
+//   autoMetadata: false      hold conversation_initiation_metadata until sendMetadata()
+//   inputFormat/outputFormat advertised audio formats (default pcm_16000)
+//   onConnection(conn)       called for every accepted socket
+
+const http = require('http');
+const url = require('url');
+const { WebSocketServer } = require('ws');
+const { parseAudioFormat, pcm16ToBytes, pcm16ToMuLaw } = require('../../lib/codec');
+
+function createFakeElevenLabs({
+  signedUrlStatus = 200,
+  refuseUpgrades = 0,
+  autoMetadata = true,
+  inputFormat = 'pcm_16000',
+  outputFormat = 'pcm_16000',
+  onConnection = () => {}
+} = {}) {
+  const connections = [];
+  const signedUrlRequests = [];
+  let port = 0, refused = 0;
+
+  const server = http.createServer((req, res) => {
+    const { pathname, query } = url.parse(req.url, true);
+    if (req.method === 'GET' && pathname === '/v1/convai/conversation/get_signed_url') {
+      signedUrlRequests.push({ agentId: query.agent_id, apiKey: req.headers['xi-api-key'] || null });
+      if (signedUrlStatus !== 200) { res.writeHead(signedUrlStatus); res.end(); return; }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ signed_url: `ws://127.0.0.1:${port}/v1/convai/conversation?agent_id=${encodeURIComponent(query.agent_id || '')}&conversation_signature=fake` }));
+      return;
+    }
+    res.writeHead(404); res.end();
+  });
+
+  const wss = new WebSocketServer({ noServer: true });
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname, query } = url.parse(req.url, true);
+    if (pathname !== '/v1/convai/conversation' && pathname !== '/v1/convai/twilio') { socket.destroy(); return; }
+    if (refused < refuseUpgrades) { refused++; socket.destroy(); return; }
+    wss.handleUpgrade(req, socket, head, ws => {
+      const conn = createConnection(ws, {
+        agentId: query.agent_id,
+        via: pathname.endsWith('/twilio') ? 'fallback' : 'signed_url',
+        inputFormat, outputFormat
+      });
+      connections.push(conn);
+      if (autoMetadata) conn.sendMetadata();
+      onConnection(conn);
+    });
+  });
+
+  return {
+    connections,
+    signedUrlRequests,
+    get url() { return `http://127.0.0.1:${port}`; },
+    get wsUrl() { return `ws://127.0.0.1:${port}`; },
+    get last() { return connections[connections.length - 1] || null; },
+    get refused() { return refused; },
+    listen() {
+      return new Promise(resolve => server.listen(0, '127.0.0.1', () => { port = server.address().port; resolve(this); }));
+    },
+    close() {
+      for (const c of connections) c.terminate();
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+function createConnection(ws, { agentId, via, inputFormat, outputFormat }) {
+  const received = [];
+  let closed = null;
+  let eventId = 0;
+  ws.on('message', data => {
+    let msg; try { msg = JSON.parse(data.toString()); } catch { msg = { raw: String(data) }; }
+    received.push(msg);
+  });
+  ws.on('close', (code, reason) => { closed = { code, reason: reason.toString() }; });
+
+  const send = obj => ws.send(JSON.stringify(obj));
+  const ofType = type => received.filter(m => m.type === type);
+
+  return {
+    agentId, via, received,
+    get closed() { return closed; },
+    get audioChunks() { return received.filter(m => m.user_audio_chunk).map(m => Buffer.from(m.user_audio_chunk, 'base64')); },
+    ofType,
+    userMessages() { return ofType('user_message').map(m => m.user_message?.message); },
+    send,
+    sendMetadata({ input = inputFormat, output = outputFormat, conversationId = 'conv_fake' } = {}) {
+      send({
+        type: 'conversation_initiation_metadata',
+        conversation_initiation_metadata_event: { conversation_id: conversationId, user_input_audio_format: input, agent_output_audio_format: output }
+      });
+    },
+    // ms of agent speech (a quiet tone) in the advertised output format
+    sendAudio(ms = 200) {
+      const { encoding, sampleRate } = parseAudioFormat(outputFormat);
+      const samples = new Int16Array(Math.round(sampleRate * ms / 1000));
+      for (let i = 0; i < samples.length; i++) samples[i] = Math.round(3000 * Math.sin(2 * Math.PI * 300 * i / sampleRate));
+      const bytes = encoding === 'ulaw' ? pcm16ToMuLaw(samples) : pcm16ToBytes(samples);
+      send({ type: 'audio', audio_event: { audio_base_64: bytes.toString('base64'), event_id: ++eventId } });
+    },
+    interrupt() { send({ type: 'interruption', interruption_event: { event_id: ++eventId } }); },
+    ping() { send({ type: 'ping', ping_event: { event_id: ++eventId } }); return eventId; },
+    agentResponse(text) { send({ type: 'agent_response', agent_response_event: { agent_response: text } }); },
+    userTranscript(text) { send({ type: 'user_transcript', user_transcription_event: { user_transcript: text } }); },
+    toolCall(name, parameters = {}, id = `tool_${++eventId}`) { send({ type: 'client_tool_call', client_tool_call: { tool_name: name, tool_call_id: id, parameters } }); return id; },
+    close(code = 1000) { ws.close(code); },
+    terminate() { ws.terminate(); }
+  };
+}
+
+module.exports = { createFakeElevenLabs };
@@ -0,0 +1,75 @@
+// scripts/harness/fake-pcm.js – Linear PCM client (lib/transports/pcm.js) for the bridge harness
+// - connect() + start() the way a browser client does; audio is binary PCM16 LE at sampleRate
+// - play(pcm, clock) sends one 20 ms chunk per virtual tick, like a live microphone
+// - Marks are echoed as soon as they arrive (autoAckMarks) unless disabled
+// - vonageStart(headers) opens the stream the way Vonage does (websocket:connected, no marks)
+
+const WebSocket = require('ws');
+const { settle } = require('./fake-clock');
+
+function createFakePcmClient(bridgeUrl, { sampleRate = 16000, autoAckMarks = true } = {}) {
+  const events = [];
+  const audio = [];
+  let ws = null, closed = null;
+  const frameBytes = sampleRate / 50 * 2; // 20 ms
+
+  const send = obj => ws.send(JSON.stringify(obj));
+
+  const client = {
+    events, audio, sampleRate,
+    get closed() { return closed; },
+    get clears() { return events.filter(m => m.event === 'clear'); },
+    get marks() { return events.filter(m => m.event === 'mark'); },
+
+    connect(path = '/pcm-stream') {
+      return new Promise((resolve, reject) => {
+        ws = new WebSocket(bridgeUrl + path);
+        ws.on('message', (data, isBinary) => {
+          if (isBinary) { audio.push(Buffer.from(data)); return; }
+          const msg = JSON.parse(data.toString());
+          events.push(msg);
+          if (msg.event === 'mark' && autoAckMarks) send({ event: 'mark', name: msg.name });
+        });
+        ws.on('close', (code, reason) => { closed = { code, reason: reason.toString() }; });
+        ws.once('open', () => resolve(client));
+        ws.once('error', reject);
+      });
+    },
+
+    start({ callId = 'web-0001', parameters = {} } = {}) {
+      send({ event: 'start', sampleRate, callId, parameters });
+    },
+
+    async play(pcm, clock) {
+      for (let o = 0; o < pcm.length; o += frameBytes) {
+        ws.send(pcm.subarray(o, o + frameBytes));
+        await settle(1);
+        await clock.tick(20);
+      }
+    },
+
+    vonageStart(headers = {}) {
+      send({ event: 'websocket:connected', 'content-type': `audio/l16;rate=${sampleRate}`, ...headers });
+    },
+
+    dtmf(digits) { for (const digit of String(digits)) send({ event: 'dtmf', digit }); },
+
+    stop() { send({ event: 'stop' }); },
+    close() { if (ws) ws.close(); }
+  };
+  return client;
+}
+
+// PCM16 LE fixtures at any rate
+function pcmTone(ms, sampleRate = 16000, { hz = 440, amplitude = 8000 } = {}) {
+  const n = Math.round(ms * sampleRate / 1000);
+  const out = Buffer.alloc(n * 2);
+  for (let i = 0; i < n; i++) out.writeInt16LE(Math.round(amplitude * Math.sin(2 * Math.PI * hz * i / sampleRate)), i * 2);
+  return out;
+}
+
+function pcmSilence(ms, sampleRate = 16000) {
+  return Buffer.alloc(Math.round(ms * sampleRate / 1000) * 2);
+}
+
+module.exports = { createFakePcmClient, pcmTone, pcmSilence };
@@ -0,0 +1,102 @@
+// scripts/harness/fake-twilio.js – Twilio Media Streams client for the bridge harness
+// - connect() -> connected/start/media/mark/dtmf/stop the way Twilio sends them
+// - play(muLaw, clock) sends one 20 ms frame per virtual tick, like a live call
+// - Marks are acknowledged as soon as they arrive (autoAckMarks) unless disabled
+// - fixtures: tone()/silence() generators and loadUlaw() for μ-law .ulaw/.wav files (fixtures/synthetic)
+
+const fs = require('fs');
+const WebSocket = require('ws');
+const { linearToMuLaw } = require('../../lib/codec');
+const { settle } = require('./fake-clock');
+
+const FRAME_BYTES = 160; // 20 ms of μ-law 8k
+
+function createFakeTwilio(bridgeUrl, { autoAckMarks = true } = {}) {
+  const received = [];
+  let ws = null, closed = null, streamSid = null, callSid = null, seq = 0, chunk = 0;
+
+  const send = obj => ws.send(JSON.stringify(obj));
+
+  const client = {
+    received,
+    get closed() { return closed; },
+    get streamSid() { return streamSid; },
+    get media() { return received.filter(m => m.event === 'media'); },
+    get clears() { return received.filter(m => m.event === 'clear'); },
+
+    connect(path = '/media-stream') {
+      return new Promise((resolve, reject) => {
+        ws = new WebSocket(bridgeUrl + path);
+        ws.on('message', data => {
+          const msg = JSON.parse(data.toString());
+          received.push(msg);
+          if (msg.event === 'mark' && autoAckMarks) send({ event: 'mark', streamSid, sequenceNumber: String(++seq), mark: msg.mark });
+        });
+        ws.on('close', (code, reason) => { closed = { code, reason: reason.toString() }; });
+        ws.once('open', () => { send({ event: 'connected', protocol: 'Call', version: '1.0.0' }); resolve(client); });
+        ws.once('error', reject);
+      });
+    },
+
+    start({ callSid: sidOfCall = 'CA00000000000000000000000000000001', sid = 'MZ00000000000000000000000000000001', customParameters = {} } = {}) {
+      streamSid = sid; callSid = sidOfCall;
+      send({
+        event: 'start', sequenceNumber: String(++seq), streamSid,
+        start: { streamSid, callSid, accountSid: 'AC_fake', tracks: ['inbound'], customParameters, mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 } }
+      });
+    },
+
+    frame(muLaw) {
+      send({ event: 'media', sequenceNumber: String(++seq), streamSid, media: { track: 'inbound', chunk: String(++chunk), timestamp: String(chunk * 20), payload: muLaw.toString('base64') } });
+    },
+
+    // Real-time replay: one frame, then 20 ms of virtual time
+    async play(muLaw, clock) {
+      for (let o = 0; o < muLaw.length; o += FRAME_BYTES) {
+        client.frame(padFrame(muLaw.subarray(o, o + FRAME_BYTES)));
+        await settle(1); // let the frame reach the bridge before its timers run
+        await clock.tick(20);
+      }
+    },
+
+    dtmf(digits) {
+      for (const digit of String(digits)) send({ event: 'dtmf', streamSid, sequenceNumber: String(++seq), dtmf: { track: 'inbound_track', digit } });
+    },
+
+    stop() { send({ event: 'stop', sequenceNumber: String(++seq), streamSid, stop: { callSid } }); },
+    close() { if (ws) ws.close(); }
+  };
+  return client;
+}
+
+function padFrame(buf) {
+  if (buf.length === FRAME_BYTES) return buf;
+  return Buffer.concat([buf, Buffer.alloc(FRAME_BYTES - buf.length, 0xff)]);
+}
+
+// ---------- Fixtures (μ-law 8k)
+
+function tone(ms, { hz = 440, amplitude = 8000 } = {}) {
+  const out = Buffer.alloc(Math.round(ms * 8));
+  for (let i = 0; i < out.length; i++) out[i] = linearToMuLaw(Math.round(amplitude * Math.sin(2 * Math.PI * hz * i / 8000)));
+  return out;
+}
+
+function silence(ms) {
+  return Buffer.alloc(Math.round(ms * 8), 0xff);
+}
+
+// Raw μ-law, or a μ-law WAV (header stripped to its data chunk)
+function loadUlaw(filePath) {
+  const buf = fs.readFileSync(filePath);
+  if (buf.length < 12 || buf.toString('ascii', 0, 4) !== 'RIFF') return buf;
+  for (let off = 12; off + 8 <= buf.length;) {
+    const id = buf.toString('ascii', off, off + 4);
+    const size = buf.readUInt32LE(off + 4);
+    if (id === 'data') return buf.subarray(off + 8, off + 8 + size);
+    off += 8 + size + (size & 1);
+  }
+  throw new Error(`${filePath}: no data chunk`);
+}
+
+module.exports = { createFakeTwilio, tone, silence, loadUlaw, FRAME_BYTES };
@@ -0,0 +1,78 @@
+// scripts/harness/index.js – Boot the bridge in-process against a fake ElevenLabs
+// - startHarness({ env, el }) sets env, installs fake timers, requires server.js, listens on :0
+// - server.js reads env at load, so use one harness per process (scripts/replay.js forks per scenario)
+//
+//   const h = await startHarness({ env: { EL_READY_FALLBACK_MS: '1000' }, el: { autoMetadata: false } });
+//   const call = await h.call({ customParameters: { mode: 'discovery' } });   // or h.pcmCall({ parameters })
+//   await h.clock.tick(1000);
+//   await h.stop();
+
+const { createFakeClock, until, settle } = require('./fake-clock');
+const { createFakeElevenLabs } = require('./fake-elevenlabs');
+const { createFakeTwilio, tone, silence, loadUlaw } = require('./fake-twilio');
+const { createFakePcmClient, pcmTone, pcmSilence } = require('./fake-pcm');
+
+const BASE_ENV = {
+  ELEVENLABS_API_KEY: 'xi_test_key',
+  ELEVENLABS_DISCOVERY_AGENT_ID: 'agent_discovery',
+  ELEVENLABS_DAILY_AGENT_ID: 'agent_daily',
+  SESSION_STORE: 'memory',
+  RECORDING_ENABLED: '0',
+  LOG_FRAMES_EVERY: '0',
+  LOG_FORMAT: 'text'
+};
+
+async function startHarness({ env = {}, el: elOptions = {}, quiet = true } = {}) {
+  const el = await createFakeElevenLabs(elOptions).listen();
+  Object.assign(process.env, BASE_ENV, { ELEVENLABS_API_BASE: el.url, ELEVENLABS_WS_BASE: el.wsUrl }, env);
+
+  const logs = [];
+  const consoleLog = console.log;
+  if (quiet) console.log = (...args) => { logs.push(args.map(a => typeof a === 'string' ? a : JSON.stringify(a)).join(' ')); };
+
+  const clock = createFakeClock();
+  clock.install();
+  const { server } = require('../../server');
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const bridgeUrl = `ws://127.0.0.1:${server.address().port}`;
+
+  return {
+    el, clock, logs, server,
+    url: `http://127.0.0.1:${server.address().port}`,
+    until, settle,
+
+    // Connected + started Twilio stream; resolves once the bridge has an EL socket (unless expectEl is false)
+    async call({ customParameters = { mode: 'discovery' }, callSid, expectEl = true, path } = {}) {
+      const twilio = await createFakeTwilio(bridgeUrl).connect(path);
+      const before = el.connections.length;
+      twilio.start({ callSid, customParameters });
+      if (expectEl) await until(() => el.connections.length > before && el.connections[before].received.length, { label: 'EL connection' });
+      return { twilio, conn: expectEl ? el.connections[before] : null };
+    },
+
+    // Same, over the linear PCM transport (/pcm-stream)
+    async pcmCall({ parameters = { mode: 'discovery' }, sampleRate = 16000, callId, expectEl = true, path } = {}) {
+      const pcm = await createFakePcmClient(bridgeUrl, { sampleRate }).connect(path);
+      const before = el.connections.length;
+      pcm.start({ callId, parameters });
+      if (expectEl) await until(() => el.connections.length > before && el.connections[before].received.length, { label: 'EL connection' });
+      return { pcm, conn: expectEl ? el.connections[before] : null };
+    },
+
+    // Raw socket that never sends start
+    async connect(path) { return createFakeTwilio(bridgeUrl).connect(path); },
+    async pcmConnect(path, { sampleRate = 16000 } = {}) { return createFakePcmClient(bridgeUrl, { sampleRate }).connect(path); },
+
+    logsMatching(re) { return logs.filter(l => re.test(l)); },
+
+    // Upgraded sockets keep the server open; the process is expected to exit after this
+    async stop() {
+      clock.uninstall();
+      console.log = consoleLog;
+      await el.close();
+      server.close();
+    }
+  };
+}
+
+module.exports = { startHarness, tone, silence, loadUlaw, pcmTone, pcmSilence, until, settle };
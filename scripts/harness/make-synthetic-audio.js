@@ -0,0 +1,115 @@
+// scripts/harness/make-synthetic-audio.js – Write the synthetic caller audio in scripts/harness/fixtures/synthetic
+// Not recordings: a voiced source (120 Hz glottal pulses through three formant resonators, syllable
+// envelopes) over generated line hiss, μ-law 8 kHz mono WAV in the layout of a Twilio inbound capture.
+// Deterministic (seeded noise), so re-running only changes files when this script changes.
+// Real call captures belong in a separate fixtures directory; loadUlaw() reads any μ-law 8 kHz WAV or raw .ulaw.
+//
+// Usage: node scripts/harness/make-synthetic-audio.js
+
+const fs = require('fs');
+const path = require('path');
+const { linearToMuLaw } = require('../../lib/codec');
+
+const RATE = 8000;
+const OUT_DIR = path.join(__dirname, 'fixtures', 'synthetic');
+
+// mulberry32: small seeded PRNG so the hiss is identical on every run
+function rng(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Line hiss at roughly -58 dBFS with slow hum
+function lineNoise(ms, rand) {
+  const out = new Float64Array(Math.round(ms * RATE / 1000));
+  for (let i = 0; i < out.length; i++) out[i] = (rand() - 0.5) * 140 + 30 * Math.sin(2 * Math.PI * 60 * i / RATE);
+  return out;
+}
+
+// Two-pole resonator, unity-ish gain at the formant
+function resonate(x, hz, bw) {
+  const r = Math.exp(-Math.PI * bw / RATE), th = 2 * Math.PI * hz / RATE;
+  const a1 = 2 * r * Math.cos(th), a2 = -r * r, g = (1 - r) * 2;
+  const y = new Float64Array(x.length);
+  for (let i = 0; i < x.length; i++) y[i] = g * x[i] + a1 * (y[i - 1] || 0) + a2 * (y[i - 2] || 0);
+  return y;
+}
+
+// One voiced syllable: pitch glides down, raised-cosine envelope
+function syllable(ms, { f0 = 120, formants = [[700, 110], [1200, 120], [2600, 160]], level = 5000 } = {}) {
+  const n = Math.round(ms * RATE / 1000);
+  const src = new Float64Array(n);
+  let phase = 0;
+  for (let i = 0; i < n; i++) {
+    const hz = f0 * (1.1 - 0.2 * i / n);
+    phase += hz / RATE;
+    if (phase >= 1) { phase -= 1; src[i] = 1; }
+  }
+  const voiced = formants.map(([hz, bw]) => resonate(src, hz, bw)).reduce((acc, y) => acc.map((v, i) => v + y[i]));
+  let peak = 0;
+  for (const v of voiced) peak = Math.max(peak, Math.abs(v));
+  return voiced.map((v, i) => level * (v / peak) * 0.5 * (1 - Math.cos(2 * Math.PI * i / n)));
+}
+
+const VOWELS = [[[700, 110], [1200, 120], [2600, 160]], [[300, 80], [2300, 140], [3000, 200]], [[500, 90], [900, 110], [2500, 160]]];
+
+// Syllables with short gaps (the VAD must bridge them), e.g. "hello there"
+function phrase(syllables, rand) {
+  const parts = [];
+  syllables.forEach((ms, k) => {
+    parts.push(syllable(ms, { f0: 110 + 25 * rand(), formants: VOWELS[k % VOWELS.length] }));
+    if (k < syllables.length - 1) parts.push(new Float64Array(Math.round(60 * RATE / 1000)));
+  });
+  return concat(parts);
+}
+
+function concat(parts) {
+  const out = new Float64Array(parts.reduce((n, p) => n + p.length, 0));
+  let o = 0;
+  for (const p of parts) { out.set(p, o); o += p.length; }
+  return out;
+}
+
+function mix(speech, noise) { return noise.map((v, i) => v + (speech[i] || 0)); }
+
+// μ-law WAV: format 7, 8 kHz mono, 8 bits (what Twilio recordings use)
+function ulawWav(samples) {
+  const data = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) data[i] = linearToMuLaw(Math.max(-32768, Math.min(32767, Math.round(samples[i]))));
+  const h = Buffer.alloc(44);
+  h.write('RIFF', 0, 'ascii'); h.writeUInt32LE(36 + data.length, 4); h.write('WAVE', 8, 'ascii');
+  h.write('fmt ', 12, 'ascii'); h.writeUInt32LE(16, 16);
+  h.writeUInt16LE(7, 20); h.writeUInt16LE(1, 22); h.writeUInt32LE(RATE, 24); h.writeUInt32LE(RATE, 28);
+  h.writeUInt16LE(1, 32); h.writeUInt16LE(8, 34);
+  h.write('data', 36, 'ascii'); h.writeUInt32LE(data.length, 40);
+  return Buffer.concat([h, data]);
+}
+
+// name -> samples; the scenarios in scenarios.js ('synthetic-*') rely on these timings
+const CLIPS = {
+  // 3 s of an open line with nobody talking
+  'line-noise': rand => lineNoise(3000, rand),
+  // 400 ms line, ~1.1 s "hello, is anyone there", then 1.6 s line: one turn ending on silence
+  'caller-turn': rand => {
+    const speech = concat([new Float64Array(400 * 8), phrase([220, 180, 260, 200], rand)]);
+    return mix(speech, lineNoise(3100, rand));
+  },
+  // 700 ms "wait, sorry" over the agent, then 300 ms line
+  'barge-in': rand => mix(phrase([300, 340], rand), lineNoise(1000, rand))
+};
+
+function main() {
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+  for (const [name, make] of Object.entries(CLIPS)) {
+    const file = path.join(OUT_DIR, `${name}.wav`);
+    const wav = ulawWav(make(rng(name.length * 7919)));
+    fs.writeFileSync(file, wav);
+    console.log(`${path.relative(process.cwd(), file)} ${wav.length - 44} bytes`);
+  }
+}
+
+main();
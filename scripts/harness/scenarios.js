@@ -0,0 +1,812 @@
+// scripts/harness/scenarios.js – Scripted calls replayed by scripts/replay.js
+// Each scenario: { env, el, run(h) }; env (object or async function) and el go to startHarness(),
+// run() throws on a mismatch.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const path = require('path');
+const { parseSecrets, mintStreamToken, verifyStreamToken } = require('../../lib/tokens');
+const { verifySignature } = require('../../lib/webhooks');
+const { computeSignature } = require('../../lib/twilio');
+const { tone, silence, loadUlaw, pcmTone, pcmSilence } = require('./index');
+
+const SECRETS = 'k1:harness-secret';
+const CALL_SID = 'CA00000000000000000000000000000001';
+const WEBHOOK_SECRET = 'harness-webhook-secret';
+const synthetic = name => loadUlaw(path.join(__dirname, 'fixtures', 'synthetic', `${name}.wav`)); // see make-synthetic-audio.js
+
+let tenantHooks = null;
+
+// Local webhook receiver: fails the first `failFirst` deliveries with 500
+let receiver = null;
+function startReceiver({ failFirst = 0 } = {}) {
+  const deliveries = [];
+  let failures = 0;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', d => { body += d; });
+    req.on('end', () => {
+      if (failures < failFirst) { failures++; res.writeHead(500); return res.end(); }
+      deliveries.push({ headers: req.headers, body });
+      res.writeHead(204); res.end();
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ deliveries, url: `http://127.0.0.1:${server.address().port}/hook` })));
+}
+
+module.exports = {
+  // Agent audio plays out paced; EL interruption clears Twilio and drops the queued remainder
+  'barge-in': {
+    async run(h) {
+      const { twilio, conn } = await h.call();
+      conn.sendAudio(2000);
+      await h.settle();
+      await h.clock.tick(400);
+      assert.ok(twilio.media.length > 0, 'agent audio reached Twilio');
+
+      await twilio.play(tone(400), h.clock); // caller talks over the agent
+      await h.until(() => conn.ofType('user_audio_start').length, { label: 'user_audio_start' });
+
+      conn.interrupt();
+      await h.until(() => twilio.clears.length, { label: 'clear' });
+      const sent = twilio.media.length;
+      await h.clock.tick(1000);
+      await h.settle();
+      assert.strictEqual(twilio.media.length, sent, 'no agent audio after clear');
+    }
+  },
+
+  // No metadata: raw μ-law until EL_READY_FALLBACK_MS, then conversation_start; late metadata switches codecs
+  'late-metadata': {
+    env: { EL_READY_FALLBACK_MS: '1000' },
+    el: { autoMetadata: false, inputFormat: 'pcm_16000' },
+    async run(h) {
+      const { twilio, conn } = await h.call();
+      await twilio.play(tone(300), h.clock);
+      await h.settle();
+      assert.ok(conn.audioChunks.length > 0, 'caller audio forwarded before metadata');
+      assert.ok(conn.audioChunks.every(c => c.length === 160), 'raw μ-law 20 ms chunks before metadata');
+      assert.strictEqual(conn.ofType('conversation_start').length, 0);
+
+      await h.clock.tick(700);
+      await h.until(() => conn.ofType('conversation_start').length, { label: 'fallback conversation_start' });
+      assert.ok(h.logsMatching(/No metadata; proceeding optimistically/).length, 'optimistic readiness logged');
+
+      conn.sendMetadata();
+      await h.settle();
+      const before = conn.audioChunks.length;
+      await twilio.play(tone(200), h.clock);
+      await h.settle();
+      const after = conn.audioChunks.slice(before);
+      assert.ok(after.length > 0 && after.every(c => c.length === 640), 'pcm_16000 chunks after metadata');
+    }
+  },
+
+  // Bad signature, wrong call binding, expiry and a socket that never starts are all refused
+  'auth-rejection': {
+    env: { BRIDGE_TOKEN_SECRETS: SECRETS, AUTH_START_TIMEOUT_MS: '5000' },
+    async run(h) {
+      const keys = parseSecrets(SECRETS);
+      const rejected = async (token, reason) => {
+        const { twilio } = await h.call({ callSid: CALL_SID, customParameters: { mode: 'discovery', token }, expectEl: false });
+        const closed = await h.until(() => twilio.closed, { label: `close (${reason})` });
+        assert.deepStrictEqual(closed, { code: 1008, reason });
+      };
+
+      await rejected(mintStreamToken({ callSid: CALL_SID, mode: 'discovery' }, parseSecrets('k1:wrong')), 'bad-signature');
+      await rejected(mintStreamToken({ callSid: 'CA_other', mode: 'discovery' }, keys), 'callsid-mismatch');
+      await rejected(mintStreamToken({ callSid: CALL_SID, mode: 'daily' }, keys), 'mode-mismatch');
+      const expiring = mintStreamToken({ callSid: CALL_SID, mode: 'discovery', ttlSec: 60 }, keys);
+      await h.clock.tick(60_000 + 31_000); // ttl + the 30 s clock-skew allowance
+      await rejected(expiring, 'token-expired');
+      assert.strictEqual(h.el.connections.length, 0, 'no EL connection for rejected calls');
+
+      const silent = await h.connect();
+      await h.clock.tick(5000);
+      assert.deepStrictEqual(await h.until(() => silent.closed, { label: 'start timeout' }), { code: 1008, reason: 'start-timeout' });
+
+      const { conn } = await h.call({ callSid: CALL_SID, customParameters: { mode: 'discovery', token: mintStreamToken({ callSid: CALL_SID, mode: 'discovery' }, keys) } });
+      assert.ok(conn, 'valid token reaches EL');
+    }
+  },
+
+  // POST /twiml and /status-callback need a valid X-Twilio-Signature over PUBLIC_BASE_URL + path + sorted params
+  'twilio-signature': {
+    env: { TWILIO_AUTH_TOKEN: 'harness-twilio-token', PUBLIC_BASE_URL: 'https://bridge.example.com', BRIDGE_TOKEN_SECRETS: SECRETS },
+    async run(h) {
+      const params = { CallSid: CALL_SID, From: '+15550100', To: '+15550111', Direction: 'inbound' };
+      const post = (pathAndQuery, body, signature) => fetch(`${h.url}${pathAndQuery}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...(signature ? { 'X-Twilio-Signature': signature } : {}) },
+        body: new URLSearchParams(body).toString()
+      });
+      const sign = (pathAndQuery, body, token = 'harness-twilio-token') => computeSignature(token, `https://bridge.example.com${pathAndQuery}`, body);
+
+      const ok = await post('/twiml?mode=daily', params, sign('/twiml?mode=daily', params));
+      assert.strictEqual(ok.status, 200);
+      assert.match(ok.headers.get('content-type'), /text\/xml/);
+      const twiml = await ok.text();
+      assert.match(twiml, /<Stream url="wss:\/\/bridge\.example\.com\/media-stream"/);
+      assert.match(twiml, /<Parameter name="mode" value="daily"\/>/);
+      assert.match(twiml, /<Parameter name="caller_phone" value="\+15550100"\/>/);
+      const token = /<Parameter name="token" value="([^"]+)"\/>/.exec(twiml)[1];
+      const verified = verifyStreamToken(token, parseSecrets(SECRETS));
+      assert.ok(verified.ok && verified.claims.sid === CALL_SID, 'stream token bound to the CallSid');
+
+      const rejected = [
+        ['wrong auth token', post('/twiml?mode=daily', params, sign('/twiml?mode=daily', params, 'not-the-token'))],
+        ['tampered param', post('/twiml?mode=daily', { ...params, From: '+15550999' }, sign('/twiml?mode=daily', params))],
+        ['other URL', post('/twiml?mode=discovery', params, sign('/twiml?mode=daily', params))],
+        ['missing header', post('/twiml?mode=daily', params, null)]
+      ];
+      for (const [label, res] of rejected) assert.strictEqual((await res).status, 403, label);
+      assert.strictEqual(h.logsMatching(/Rejected: bad X-Twilio-Signature/).length, 4);
+      assert.strictEqual(h.logsMatching(/TwiML for/).length, 1, 'TwiML only for the signed request');
+
+      const status = { CallSid: CALL_SID, CallStatus: 'completed', CallDuration: '12' };
+      assert.strictEqual((await post('/status-callback', status, sign('/status-callback', status))).status, 204);
+      assert.strictEqual((await post('/status-callback', status, null)).status, 403);
+    }
+  },
+
+  // GET /metrics: bearer token, Prometheus text, call counters after one call, no caller or session labels
+  'metrics': {
+    env: { METRICS_TOKEN: 'harness-metrics' },
+    async run(h) {
+      const scrape = async () => {
+        const res = await fetch(`${h.url}/metrics`, { headers: { Authorization: 'Bearer harness-metrics' } });
+        assert.strictEqual(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+        return res.text();
+      };
+      assert.strictEqual((await fetch(`${h.url}/metrics`)).status, 401, 'token required');
+
+      const { twilio, conn } = await h.call({ customParameters: { mode: 'discovery', caller_phone: '+15550100' } });
+      assert.match(await scrape(), /^bridge_active_sessions 1$/m);
+      conn.sendAudio(200);
+      await h.settle();
+      await h.clock.tick(400);
+      await twilio.play(tone(200), h.clock);
+      twilio.stop();
+      await h.until(() => twilio.closed, { label: 'Twilio close' });
+      await h.settle();
+
+      const text = await scrape();
+      assert.match(text, /^# TYPE bridge_sessions_total counter$/m);
+      assert.match(text, /^bridge_active_sessions 0$/m);
+      assert.match(text, /^bridge_sessions_total\{transport="twilio",mode="discovery",end_reason="caller_stop"\} 1$/m);
+      assert.match(text, /^bridge_el_connect_seconds_count\{via="signed_url"\} 1$/m);
+      assert.match(text, /^bridge_el_connect_seconds_bucket\{via="signed_url",le="\+Inf"\} 1$/m);
+      assert.match(text, /^bridge_el_ready_total\{via="metadata"\} 1$/m);
+      assert.match(text, /^bridge_frames_total\{direction="inbound"\} 10$/m);
+      assert.match(text, /^bridge_frames_total\{direction="outbound"\} 10$/m);
+      assert.match(text, /^bridge_time_to_first_agent_audio_seconds_count 1$/m);
+      assert.doesNotMatch(text, /5550100|MZ0|CA0/, 'no phone numbers or call IDs');
+    }
+  },
+
+  // Recording: nothing written without recording_consent; with it, a stereo 8 kHz WAV
+  // (caller left, agent right) lands in RECORDING_DIR under <date>/<sessionId>.wav
+  'recording': {
+    env() {
+      return { RECORDING_ENABLED: '1', RECORDING_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-recordings-')) };
+    },
+    async run(h) {
+      const dir = process.env.RECORDING_DIR;
+      const listWavs = () => fs.readdirSync(dir, { recursive: true }).filter(f => f.endsWith('.wav'));
+
+      const first = await h.call({ customParameters: { mode: 'discovery' } });
+      first.twilio.stop();
+      await h.until(() => first.twilio.closed, { label: 'first call close' });
+      await h.settle();
+      assert.strictEqual(h.logsMatching(/Skipped: no recording_consent/).length, 1);
+      assert.deepStrictEqual(listWavs(), [], 'no file without consent');
+
+      const { twilio, conn } = await h.call({
+        customParameters: { mode: 'discovery', recording_consent: 'true' },
+        callSid: 'CA00000000000000000000000000000002'
+      });
+      conn.sendAudio(200);
+      await h.settle();
+      await h.clock.tick(400);
+      await twilio.play(tone(200), h.clock);
+      twilio.stop();
+      await h.until(() => h.logsMatching(/\[RECORDING:.*\] Saved/).length, { label: 'recording saved' });
+
+      const [started] = h.logsMatching(/\[RECORDING:.*\] Started/);
+      const objectPath = JSON.parse(started.slice(started.indexOf('{'))).path;
+      assert.match(objectPath, /^\d{4}-\d{2}-\d{2}\/.+\.wav$/);
+      assert.deepStrictEqual(listWavs(), [objectPath]);
+
+      const wav = fs.readFileSync(path.join(dir, objectPath));
+      assert.strictEqual(wav.toString('ascii', 0, 4), 'RIFF');
+      assert.strictEqual(wav.toString('ascii', 8, 12), 'WAVE');
+      assert.strictEqual(wav.readUInt16LE(20), 1, 'PCM');
+      assert.strictEqual(wav.readUInt16LE(22), 2, 'stereo');
+      assert.strictEqual(wav.readUInt32LE(24), 8000);
+      assert.strictEqual(wav.readUInt16LE(34), 16);
+      const dataBytes = wav.readUInt32LE(40);
+      assert.strictEqual(wav.length, 44 + dataBytes, 'header sizes patched on close');
+      assert.ok(dataBytes >= 200 * 8 * 4, 'at least the 200 ms of caller audio');
+      let left = 0, right = 0;
+      for (let i = 44; i < wav.length; i += 4) {
+        left = Math.max(left, Math.abs(wav.readInt16LE(i)));
+        right = Math.max(right, Math.abs(wav.readInt16LE(i + 2)));
+      }
+      assert.ok(left > 1000, 'caller audio on the left channel');
+      assert.ok(right > 1000, 'agent audio on the right channel');
+    }
+  },
+
+  // Twilio stop: final user_audio_end + "(Call ended)", then both sockets close cleanly
+  'stop': {
+    async run(h) {
+      const { twilio, conn } = await h.call();
+      conn.sendAudio(200);
+      await twilio.play(tone(100), h.clock);
+      twilio.stop();
+      assert.deepStrictEqual(await h.until(() => twilio.closed, { label: 'Twilio close' }), { code: 1000, reason: '' });
+      assert.strictEqual((await h.until(() => conn.closed, { label: 'EL close' })).code, 1000);
+      assert.ok(conn.ofType('user_audio_end').length >= 1, 'final user_audio_end');
+      assert.deepStrictEqual(conn.userMessages().slice(-1), ['(Call ended)']);
+    }
+  },
+
+  // A second 'start' on the same Twilio socket is ignored: one EL conversation and admission slot, both freed with the call
+  'repeated-start': {
+    async run(h) {
+      const { twilio, conn } = await h.call();
+      twilio.start({ callSid: 'CA00000000000000000000000000000002' });
+      await h.settle(100);
+      assert.strictEqual(h.el.connections.length, 1, 'no second EL conversation');
+      assert.strictEqual(h.logsMatching(/Stream started/).length, 1);
+      twilio.stop();
+      await h.until(() => twilio.closed, { label: 'Twilio close' });
+      assert.strictEqual((await h.until(() => conn.closed, { label: 'EL close' })).code, 1000);
+      await h.settle();
+      const health = await (await fetch(`${h.url}/health`)).json();
+      assert.strictEqual(health.limits.active, 0, 'admission slot released');
+    }
+  },
+
+  // Default policy: "Hello" at 2 s, second nudge at 4 s, conversation_start at 6 s; none once the agent speaks
+  'first-message-nudges': {
+    async run(h) {
+      const { conn } = await h.call();
+      await h.clock.tick(2000);
+      await h.until(() => conn.userMessages().length === 1, { label: 'nudge 1' });
+      await h.clock.tick(2000);
+      await h.until(() => conn.userMessages().length === 2, { label: 'nudge 2' });
+      assert.deepStrictEqual(conn.userMessages(), ['Hello', 'Please start the conversation']);
+      conn.sendAudio(200);
+      await h.settle();
+      await h.clock.tick(4000);
+      await h.settle();
+      assert.strictEqual(conn.ofType('conversation_start').length, 0, 'no nudge after agent audio');
+    }
+  },
+
+  // conversation_start on the caller's first audio follows the policy: legacy nudge sends it, wait_for_caller doesn't
+  'first-input-policy': {
+    async env() {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-policy-')), 'policy.json');
+      fs.writeFileSync(file, JSON.stringify({ modes: { discovery: { firstMessage: { strategy: 'wait_for_caller' } } } }));
+      return { CONVERSATION_POLICY_FILE: file };
+    },
+    async run(h) {
+      const quiet = await h.call();
+      await quiet.twilio.play(tone(600), h.clock);
+      await h.clock.tick(500);
+      await h.settle();
+      assert.ok(quiet.conn.audioChunks.length > 0, 'caller audio reached EL');
+      assert.strictEqual(quiet.conn.ofType('conversation_start').length, 0, 'wait_for_caller: no conversation_start');
+      quiet.twilio.stop();
+
+      const legacy = await h.call({ customParameters: { mode: 'daily' }, callSid: 'CA00000000000000000000000000000002' });
+      await legacy.twilio.play(tone(600), h.clock);
+      await h.clock.tick(500);
+      await h.until(() => legacy.conn.ofType('conversation_start').length, { label: 'conversation_start on first input' });
+      assert.ok(h.logsMatching(/Injected conversation_start.*policy:caller_input/).length);
+    }
+  },
+
+  // Silence reprompts step by step (checked every 500 ms), caller speech restarts the schedule, the last step hangs up
+  'silence-reprompt': {
+    async env() {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-policy-')), 'policy.json');
+      fs.writeFileSync(file, JSON.stringify({
+        modes: {
+          discovery: {
+            turnEndNudge: false,
+            reprompt: [
+              { afterMs: 4000, send: 'user_message', text: 'Are you still there?' },
+              { afterMs: 3000, send: 'contextual_update', text: 'The caller has gone quiet. Say goodbye if they stay silent.' },
+              { afterMs: 2000, action: 'hangup' }
+            ]
+          }
+        }
+      }));
+      return { CONVERSATION_POLICY_FILE: file };
+    },
+    async run(h) {
+      const { twilio, conn } = await h.call();
+      const injected = () => h.logsMatching(/Injected /).map(l => /Injected (\w+) \{"source":"([^"]+)"/.exec(l).slice(1).join(' '));
+      const quietFor = async (ms, expected, label) => {
+        await h.clock.tick(ms);
+        await h.settle();
+        assert.deepStrictEqual(injected(), expected, label);
+      };
+      conn.sendAudio(200);
+      await h.settle();
+
+      await quietFor(3000, [], 'nothing before step 1');
+      await quietFor(1500, ['user_message policy:reprompt'], 'step 1 after 4 s of silence');
+      assert.deepStrictEqual(conn.userMessages(), ['Are you still there?']);
+
+      // Caller answers (their first audio also starts the conversation, legacy nudge policy):
+      // the schedule starts over from step 1, timed from the end of the turn
+      await twilio.play(tone(600), h.clock);
+      await twilio.play(silence(1000), h.clock);
+      await h.until(() => h.logsMatching(/End user turn: silence/).length, { label: 'turn end' });
+      const answered = ['user_message policy:reprompt', 'conversation_start policy:caller_input'];
+      await quietFor(3000, answered, 'restarted: step 1 not yet due');
+      await quietFor(1000, [...answered, 'user_message policy:reprompt'], 'step 1 again');
+      await quietFor(2500, [...answered, 'user_message policy:reprompt'], 'step 2 waits 3 s past step 1');
+      const all = [...answered, 'user_message policy:reprompt', 'contextual_update policy:reprompt'];
+      await quietFor(1000, all, 'step 2');
+      assert.match(conn.ofType('contextual_update')[0].text, /gone quiet/);
+
+      await quietFor(1000, all, 'hangup step not yet due');
+      assert.strictEqual(twilio.closed, null);
+      await h.clock.tick(1000);
+      assert.deepStrictEqual(await h.until(() => twilio.closed, { label: 'silence hangup' }), { code: 1000, reason: 'silence-timeout' });
+      assert.ok(h.logsMatching(/Caller silent; hanging up.*"step":3/).length);
+    }
+  },
+
+  // VAD: speech start, hangover, user_audio_end and the turn-end nudge
+  'vad-turn': {
+    env: { SILENCE_MS: '800' },
+    async run(h) {
+      const { twilio, conn } = await h.call();
+      conn.sendAudio(200);
+      await h.settle();
+      await twilio.play(silence(800), h.clock);
+      await twilio.play(tone(600), h.clock);
+      assert.strictEqual(conn.ofType('user_audio_start').length, 1);
+      await twilio.play(silence(1200), h.clock);
+      await h.until(() => conn.userMessages().includes('(User finished speaking - please respond)'), { label: 'turn-end nudge' });
+      assert.ok(conn.ofType('user_audio_end').length >= 1);
+      assert.ok(h.logsMatching(/End user turn: silence/).length);
+    }
+  },
+
+  // Synthetic open line (generated hiss and hum), nobody talking: the VAD never starts a turn
+  'synthetic-line-noise': {
+    async run(h) {
+      const { twilio, conn } = await h.call();
+      await twilio.play(synthetic('line-noise'), h.clock);
+      assert.strictEqual(conn.ofType('user_audio_start').length, 0, 'line noise is not speech');
+      assert.strictEqual(h.logsMatching(/End user turn/).length, 0);
+    }
+  },
+
+  // Synthetic caller phrase (syllable gaps included): one turn, ended by silence, not by the UTTER_MAX_MS cap
+  'synthetic-turn': {
+    env: { SILENCE_MS: '800' },
+    async run(h) {
+      const { twilio, conn } = await h.call();
+      conn.sendAudio(200);
+      await h.settle();
+      await twilio.play(synthetic('caller-turn'), h.clock);
+      await h.until(() => conn.userMessages().includes('(User finished speaking - please respond)'), { label: 'turn-end nudge' });
+      assert.strictEqual(conn.ofType('user_audio_start').length, 1, 'one turn across the syllable gaps');
+      assert.strictEqual(h.logsMatching(/End user turn: silence/).length, 1);
+      assert.ok(conn.audioChunks.length > 0, 'caller audio reached EL');
+    }
+  },
+
+  // Synthetic caller talking over agent audio: turn starts mid-playout, EL interruption clears the caller's side
+  'synthetic-barge-in': {
+    async run(h) {
+      const { twilio, conn } = await h.call();
+      conn.sendAudio(3000);
+      await h.settle();
+      await h.clock.tick(400);
+      await twilio.play(synthetic('barge-in'), h.clock);
+      await h.until(() => conn.ofType('user_audio_start').length, { label: 'user_audio_start' });
+      conn.interrupt();
+      await h.until(() => twilio.clears.length, { label: 'clear' });
+      const sent = twilio.media.length;
+      await h.clock.tick(1000);
+      await h.settle();
+      assert.strictEqual(twilio.media.length, sent, 'no agent audio after clear');
+      assert.ok(sent < 150, 'agent audio cut short');
+    }
+  },
+
+  // Stored profile wins for identity/history; profile_b64 may only set the override fields
+  'caller-profile': {
+    env: { PROFILE_PROVIDER: 'fixture', PROFILE_FIXTURES: path.join(__dirname, 'fixtures', 'profiles.json') },
+    async run(h) {
+      const override = { name: 'Mallory', preferred_name: 'Addie', past_calls: [{ summary: 'forged' }] };
+      const { conn } = await h.call({
+        customParameters: { mode: 'discovery', caller_phone: '+15550100', profile_b64: Buffer.from(JSON.stringify(override)).toString('base64') }
+      });
+      const init = conn.ofType('conversation_initiation_client_data')[0];
+      const profile = init.conversation_initiation_client_data.dynamic_variables.profile;
+      assert.strictEqual(profile.name, 'Ada Example');
+      assert.strictEqual(profile.preferred_name, 'Addie');
+      assert.strictEqual(profile.internal_score, undefined, 'unknown fields dropped');
+      assert.strictEqual(profile.past_calls.length, 2);
+      assert.ok(!profile.past_calls.some(c => c.summary === 'forged'));
+
+      const unknown = await h.call({ customParameters: { mode: 'discovery', caller_phone: '+15550199' } });
+      const vars = unknown.conn.ofType('conversation_initiation_client_data')[0].conversation_initiation_client_data.dynamic_variables;
+      assert.strictEqual(vars.profile, undefined, 'no profile for unknown callers');
+    }
+  },
+
+  // call.completed: signed, retried from the outbox after a failure, carries the call record
+  'call-webhook': {
+    async env() {
+      receiver = await startReceiver({ failFirst: 1 });
+      return {
+        CALL_WEBHOOK_URLS: receiver.url,
+        CALL_WEBHOOK_SECRET: WEBHOOK_SECRET,
+        CALL_WEBHOOK_OUTBOX: fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-outbox-'))
+      };
+    },
+    async run(h) {
+      const { twilio, conn } = await h.call({ customParameters: { mode: 'discovery', caller_phone: '+15550100' } });
+      conn.sendAudio(200);
+      conn.agentResponse('Hi, how are you?');
+      conn.userTranscript('Fine thanks');
+      await h.settle();
+      twilio.stop();
+      await h.until(() => twilio.closed, { label: 'Twilio close' });
+      await h.settle(100);
+      assert.strictEqual(receiver.deliveries.length, 0, 'first attempt failed');
+
+      await h.clock.tick(5000); // first retry
+      const [delivery] = await h.until(() => receiver.deliveries.length && receiver.deliveries, { label: 'retried delivery' });
+      assert.ok(verifySignature(WEBHOOK_SECRET, delivery.headers['x-bridge-signature'], delivery.body, { now: h.clock.now }));
+      const { event, data } = JSON.parse(delivery.body);
+      assert.strictEqual(event, 'call.completed');
+      assert.strictEqual(data.end_reason, 'caller_stop');
+      assert.strictEqual(data.el_conversation_id, 'conv_fake');
+      assert.deepStrictEqual(data.turn_count, { user: 1, agent: 1, injected: 1 }); // "(Call ended)"
+      assert.ok(data.time_to_first_audio_ms >= 0);
+      assert.deepStrictEqual(data.transcript.map(t => t.role), ['agent', 'user', 'injected']);
+    }
+  },
+
+  // Over MAX_CONCURRENT_SESSIONS or the caller rate limit: closed before any EL connection, slot freed on close.
+  // /health reports totals only; per-agent counts are on the admin API
+  'admission-limits': {
+    env: { MAX_CONCURRENT_SESSIONS: '1', CALLER_RATE_LIMIT_MAX: '1', CALLER_RATE_LIMIT_WINDOW_MS: '60000', ADMIN_API_TOKEN: 'harness-admin' },
+    async run(h) {
+      const customParameters = { mode: 'discovery', caller_phone: '+15550100' };
+      const first = await h.call({ customParameters });
+      const second = await h.call({ customParameters, callSid: 'CA00000000000000000000000000000002', expectEl: false });
+      assert.deepStrictEqual(await h.until(() => second.twilio.closed, { label: 'refused close' }), { code: 1000, reason: 'global-limit' });
+
+      first.twilio.stop();
+      await h.until(() => first.twilio.closed, { label: 'first close' });
+      await h.settle();
+      const third = await h.call({ customParameters, callSid: 'CA00000000000000000000000000000003', expectEl: false });
+      assert.deepStrictEqual(await h.until(() => third.twilio.closed, { label: 'rate-limited close' }), { code: 1000, reason: 'rate-limited' });
+      assert.strictEqual(h.logsMatching(/Call refused/).length, 2);
+
+      await h.clock.tick(60_000);
+      const fourth = await h.call({ customParameters, callSid: 'CA00000000000000000000000000000004' });
+      assert.ok(fourth.conn, 'admitted once the window has passed');
+
+      const health = await (await fetch(`${h.url}/health`)).text();
+      assert.match(health, /"limits":\{"active":1,/);
+      assert.doesNotMatch(health, /agent_discovery/, 'no agent IDs on /health');
+      const admin = await (await fetch(`${h.url}/sessions`, { headers: { Authorization: 'Bearer harness-admin' } })).json();
+      assert.deepStrictEqual(admin.limits.perAgent, { agent_discovery: 1 });
+    }
+  },
+
+  // MAX_CALL_DURATION_MS: wrap-up contextual_update MAX_CALL_WRAP_UP_MS early, hangup at the limit
+  'max-duration': {
+    env: { MAX_CALL_DURATION_MS: '10000', MAX_CALL_WRAP_UP_MS: '3000' },
+    async run(h) {
+      const { twilio, conn } = await h.call();
+      conn.sendAudio(200);
+      await h.clock.tick(7000);
+      const [update] = await h.until(() => conn.ofType('contextual_update').length && conn.ofType('contextual_update'), { label: 'wrap-up' });
+      assert.match(update.text, /time limit/);
+      assert.strictEqual(twilio.closed, null, 'still connected during wrap-up');
+      await h.clock.tick(3000);
+      await h.settle();
+      await h.clock.tick(5000);
+      assert.deepStrictEqual(await h.until(() => twilio.closed, { label: 'hangup' }), { code: 1000, reason: 'max-duration' });
+    }
+  },
+
+  // EL closes 1000 (agent ended the conversation): queued agent audio plays out, then the caller is hung up
+  'el-closed': {
+    async run(h) {
+      const { twilio, conn } = await h.call();
+      conn.sendAudio(1000);
+      await h.settle();
+      conn.close(1000);
+      await h.settle();
+      await h.clock.tick(200);
+      assert.strictEqual(twilio.closed, null, 'still connected while agent audio plays');
+      await h.clock.tick(1500);
+      await h.settle();
+      assert.deepStrictEqual(await h.until(() => twilio.closed, { label: 'hangup' }), { code: 1000, reason: 'el-closed' });
+      assert.ok(twilio.media.length >= 50, `all agent audio played before hangup (${twilio.media.length} frames)`);
+    }
+  },
+
+  // EL accepts, sends metadata, then drops every socket (1011): EL_RECONNECT_MAX retries in total, then the call ends
+  'el-reconnect-limit': {
+    env: { EL_RECONNECT_MAX: '2', EL_RECONNECT_BASE_MS: '100' },
+    el: { onConnection: conn => conn.close(1011) },
+    async run(h) {
+      const { twilio } = await h.call();
+      for (let i = 0; i < 20 && !twilio.closed; i++) {
+        await h.settle();
+        await h.clock.tick(500);
+      }
+      assert.deepStrictEqual(await h.until(() => twilio.closed, { label: 'give up' }), { code: 1000, reason: 'el-unavailable' });
+      assert.strictEqual(h.el.connections.length, 3, 'initial connect + EL_RECONNECT_MAX attempts');
+      assert.strictEqual(h.logsMatching(/EL reconnect gave up/).length, 1);
+      assert.strictEqual(h.logsMatching(/Conversation healthy/).length, 0, 'metadata alone does not reset the attempts');
+    }
+  },
+
+  // Signed URL and fallback both fail on the first try: the retried socket starts the conversation, it doesn't resume one
+  'el-initial-retry': {
+    env: { EL_URL_POOL_SIZE: '0', EL_RECONNECT_BASE_MS: '100' },
+    el: { signedUrlStatus: 500, refuseUpgrades: 1 },
+    async run(h) {
+      await h.call({ expectEl: false });
+      await h.until(() => h.logsMatching(/EL connect failed/).length, { label: 'first connect failed' });
+      await h.clock.tick(200);
+      const conn = await h.until(() => h.el.last && h.el.last.received.length && h.el.last, { label: 'retried EL connection' });
+      const vars = conn.ofType('conversation_initiation_client_data')[0].conversation_initiation_client_data.dynamic_variables;
+      assert.strictEqual(vars.resumed, undefined, 'not a resume');
+      assert.strictEqual(vars.resume_recap, undefined);
+      assert.strictEqual(conn.ofType('contextual_update').length, 0, 'no recap');
+      assert.strictEqual(h.logsMatching(/\[EL_RECONNECT.*\] Connected/).length, 1);
+
+      await h.clock.tick(2000);
+      await h.until(() => conn.userMessages().length === 1, { label: 'first message' });
+      assert.deepStrictEqual(conn.userMessages(), ['Hello']);
+    }
+  },
+
+  // SIGTERM: /health goes 503, upgrades are refused, the agent is asked to wrap up,
+  // live calls are hung up after DRAIN_GRACE_MS and the process exits 0
+  'drain': {
+    env: { DRAIN_GRACE_MS: '5000', DRAIN_WRAP_UP: '1' },
+    async run(h) {
+      const { twilio, conn } = await h.call();
+      const exits = [];
+      const exit = process.exit;
+      process.exit = code => { exits.push(code); };
+      try {
+        process.emit('SIGTERM', 'SIGTERM');
+        const health = await fetch(`${h.url}/health`);
+        assert.strictEqual(health.status, 503);
+        assert.strictEqual((await health.json()).status, 'draining');
+        await assert.rejects(h.connect(), /503/, 'upgrade refused while draining');
+        await h.until(() => conn.ofType('contextual_update').length, { label: 'wrap-up' });
+
+        await h.clock.tick(4500);
+        assert.strictEqual(twilio.closed, null, 'live call kept during the grace period');
+        await h.clock.tick(1000);
+        assert.deepStrictEqual(await h.until(() => twilio.closed, { label: 'drain hangup' }), { code: 1000, reason: 'server-draining' });
+        for (let i = 0; i < 10 && !exits.length; i++) { await h.settle(); await h.clock.tick(100); }
+        assert.deepStrictEqual(exits, [0], 'exit 0 once drained');
+        assert.ok(h.logsMatching(/Drained.*"abandonedSessions":0/).length);
+      } finally {
+        process.exit = exit;
+      }
+    }
+  },
+
+  // PCM transport at 16 kHz: 20 ms binary frames both ways, same VAD/EL path, marks echoed, clear on interruption
+  'pcm-transport': {
+    env: { SILENCE_MS: '800' },
+    async run(h) {
+      const { pcm, conn } = await h.pcmCall({ parameters: { mode: 'discovery', caller_phone: '+15550100' } });
+      conn.sendAudio(1000);
+      await h.settle();
+      await h.clock.tick(200);
+      await h.until(() => pcm.audio.length && pcm.marks.length, { label: 'agent audio + mark' });
+      assert.ok(pcm.audio.every(f => f.length === 640), '20 ms of PCM16 at 16 kHz per frame');
+
+      await pcm.play(pcmTone(600), h.clock);
+      await h.until(() => conn.ofType('user_audio_start').length, { label: 'user_audio_start' });
+      conn.interrupt();
+      await h.until(() => pcm.clears.length, { label: 'clear' });
+
+      await pcm.play(pcmSilence(1200), h.clock);
+      await h.until(() => conn.ofType('user_audio_end').length, { label: 'user_audio_end' });
+      assert.ok(conn.audioChunks.length > 0, 'caller audio reached EL');
+
+      pcm.stop();
+      assert.deepStrictEqual(await h.until(() => pcm.closed, { label: 'PCM close' }), { code: 1000, reason: '' });
+      assert.deepStrictEqual(conn.userMessages().slice(-1), ['(Call ended)']);
+      assert.strictEqual(h.logsMatching(/\[PCM:.*Stream started/).length, 1);
+    }
+  },
+
+  // Vonage over /pcm-stream: no marks are sent, so playout counts frames as played by the clock
+  'vonage-playout': {
+    async run(h) {
+      const pcm = await h.pcmConnect();
+      pcm.vonageStart({ mode: 'discovery', call_id: 'vonage-0001' });
+      await h.until(() => h.el.connections.length && h.el.connections[0].received.length, { label: 'EL connection' });
+      const conn = h.el.connections[0];
+      conn.sendAudio(1000);
+      await h.settle();
+      await h.clock.tick(1500);
+      await h.settle();
+      assert.strictEqual(pcm.audio.length, 50, 'all agent audio sent');
+      assert.strictEqual(pcm.events.length, 0, 'no mark/clear text for Vonage');
+
+      pcm.close();
+      const [line] = await h.until(() => h.logsMatching(/\[PLAYOUT.*Stats/).length && h.logsMatching(/\[PLAYOUT.*Stats/), { label: 'playout stats' });
+      assert.match(line, /"framesPlayed":50,/);
+      assert.match(line, /"marksSent":0,/);
+    }
+  },
+
+  // Pre-warm: Twilio calls use a pooled signed URL; a PCM query naming the mode connects EL before 'start'
+  'connection-warmup': {
+    env: { EL_URL_POOL_SIZE: '1', MAX_CONCURRENT_SESSIONS: '1' },
+    async run(h) {
+      await h.until(() => h.el.signedUrlRequests.length >= 2, { label: 'pool prefetch' });
+      const { twilio } = await h.call();
+      assert.strictEqual(h.logsMatching(/Connected via signed URL.*"signedUrl":"pool"/).length, 1);
+      await h.until(() => h.el.signedUrlRequests.length >= 3, { label: 'pool refill' });
+      const busy = await h.pcmConnect('/pcm-stream?mode=discovery');    // at capacity: no early socket
+      await h.until(() => h.logsMatching(/Early connect skipped: global_limit/).length, { label: 'early connect skipped' });
+      busy.close();
+      twilio.stop();
+      await h.until(() => twilio.closed, { label: 'first call closed' });
+      await h.settle();
+
+      const before = h.el.connections.length;
+      const pcm = await h.pcmConnect('/pcm-stream?mode=discovery');
+      await h.until(() => h.el.connections.length > before, { label: 'EL connect before start' });
+      assert.strictEqual(h.el.connections[before].received.length, 0, 'nothing sent before start');
+      pcm.start({ parameters: { mode: 'discovery' } });
+      const conn = h.el.connections[before];
+      await h.until(() => conn.ofType('conversation_initiation_client_data').length, { label: 'init on early socket' });
+      assert.strictEqual(h.el.connections.length, before + 1, 'early socket reused');
+      assert.strictEqual(h.logsMatching(/Early connect from upgrade query/).length, 1);
+      assert.strictEqual(h.logsMatching(/Call refused/).length, 0, 'reserved slot counts the call once');
+      const extra = await h.pcmConnect('/pcm-stream?mode=discovery'); // the reserved slot is now the call's
+      await h.settle();
+      assert.strictEqual(h.el.connections.length, before + 1, 'no early socket past the limit');
+      extra.close();
+
+      conn.sendAudio(200);
+      await h.until(() => h.logsMatching(/Setup phases/).length, { label: 'setup phases' });
+      assert.match(h.logsMatching(/Setup phases/)[0], /"early":true,"signedUrl":"pool"/);
+      pcm.stop();
+    }
+  },
+
+  // Keypad: "#"-terminated and timed-out entries reach the agent; bound keys repeat, transfer and hang up
+  'dtmf': {
+    async env() {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-policy-')), 'policy.json');
+      fs.writeFileSync(file, JSON.stringify({
+        modes: { discovery: { turnEndNudge: false, dtmf: { interDigitMs: 2000, bindings: { 0: { action: 'transfer' }, 9: 'repeat', '*': 'hangup' } } } }
+      }));
+      return { CONVERSATION_POLICY_FILE: file, TWILIO_REST_STUB: '1', TRANSFER_TARGETS: 'default:+15550199' };
+    },
+    async run(h) {
+      const { twilio, conn } = await h.call();
+      conn.sendAudio(400);
+      await h.settle();
+      await h.clock.tick(600);
+      await h.settle();
+      const heard = twilio.media.length;
+
+      twilio.dtmf('123#');
+      await h.until(() => conn.userMessages().includes('The caller pressed 123 on the keypad.'), { label: 'terminated entry' });
+      twilio.dtmf('40');                      // "0" mid-entry is a digit, not the transfer key
+      await h.settle();
+      await h.clock.tick(2000);
+      await h.until(() => conn.userMessages().includes('The caller pressed 40 on the keypad.'), { label: 'timed-out entry' });
+
+      twilio.dtmf('9');
+      await h.settle();
+      await h.clock.tick(600);
+      await h.settle();
+      assert.ok(twilio.media.length - heard >= heard - 2, 'last agent utterance replayed');
+
+      twilio.dtmf('0');
+      await h.until(() => h.logsMatching(/Transferred from keypad/).length, { label: 'transfer' });
+      twilio.dtmf('*');
+      assert.deepStrictEqual(await h.until(() => twilio.closed, { label: 'hangup' }), { code: 1000, reason: 'dtmf-hangup' });
+    }
+  },
+
+  // Tenants from a file: each call gets its tenant's key, agents and auth, picked by parameter or token key id.
+  // call.completed goes only to the tenant a call authenticated against
+  'tenants': {
+    async env() {
+      tenantHooks = { global: await startReceiver(), acme: await startReceiver() };
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-tenants-')), 'tenants.json');
+      fs.writeFileSync(file, JSON.stringify({
+        tenants: {
+          acme: {
+            elevenlabsApiKey: { env: 'ACME_XI_KEY' },
+            agents: { discovery: 'agent_acme' },
+            tuning: { silenceMs: 600 },
+            auth: { tokenSecrets: 'acme1:acme-secret' },
+            features: { keypad: false },
+            webhooks: { urls: [tenantHooks.acme.url], secret: 'acme-webhook-secret' },
+            transferTargets: { default: '+15550177' }
+          },
+          beta: { elevenlabsApiKey: 'xi_beta_key', routes: [{ name: 'beta-main', agentId: 'agent_beta' }], auth: { allowUnauthenticated: true } }
+        }
+      }));
+      return {
+        TENANTS_FILE: file, ACME_XI_KEY: 'xi_acme_key', TWILIO_REST_STUB: '1',
+        CALL_WEBHOOK_URLS: tenantHooks.global.url, CALL_WEBHOOK_SECRET: WEBHOOK_SECRET, TRANSFER_TARGETS: 'default:+15550199',
+        CALL_WEBHOOK_OUTBOX: fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-outbox-'))
+      };
+    },
+    async run(h) {
+      const acmeKeys = parseSecrets('acme1:acme-secret');
+      const closedWith = async (customParameters) => {
+        const { twilio } = await h.call({ callSid: CALL_SID, customParameters, expectEl: false });
+        return (await h.until(() => twilio.closed, { label: 'close' })).reason;
+      };
+
+      const { twilio: defaultCall, conn: defaultConn } = await h.call();
+      assert.strictEqual(defaultConn.agentId, 'agent_discovery');
+      defaultCall.stop();
+
+      // Token key id names the tenant; another tenant's agent_id is not on acme's allow-list
+      const token = mintStreamToken({ callSid: CALL_SID, mode: 'discovery' }, acmeKeys);
+      const { twilio: acmeCall, conn: acmeConn } = await h.call({ callSid: CALL_SID, customParameters: { mode: 'discovery', token, agent_id: 'agent_discovery' } });
+      assert.strictEqual(acmeConn.agentId, 'agent_acme');
+      assert.strictEqual(h.logsMatching(/Stream started.*"tenant":"acme"/).length, 1);
+      acmeConn.toolCall('transfer_call', { target: 'default' });
+      await h.until(() => h.logsMatching(/Tool call result/).length, { label: 'acme transfer' });
+      assert.match(h.logsMatching(/Tool call result/)[0], /\\"ok\\":true/);
+      acmeCall.stop();
+
+      // beta has no webhooks or transfer targets: the default tenant's are not used
+      const { twilio: betaCall, conn: betaConn } = await h.call({ customParameters: { mode: 'discovery', tenant: 'beta' } });
+      assert.strictEqual(betaConn.agentId, 'agent_beta');
+      betaConn.toolCall('transfer_call', { target: 'default' });
+      await h.until(() => h.logsMatching(/Tool call failed.*unknown transfer target/).length, { label: 'beta transfer refused' });
+      betaCall.stop();
+      await h.until(() => betaCall.closed, { label: 'beta close' });
+      await h.settle(100);
+
+      const tenantOf = r => JSON.parse(r.body).data.tenant;
+      assert.deepStrictEqual(tenantHooks.global.deliveries.map(tenantOf), ['default']);
+      assert.deepStrictEqual(tenantHooks.acme.deliveries.map(tenantOf), ['acme']);
+      assert.ok(verifySignature('acme-webhook-secret', tenantHooks.acme.deliveries[0].headers['x-bridge-signature'], tenantHooks.acme.deliveries[0].body, { now: h.clock.now }));
+
+      assert.strictEqual(await closedWith({ mode: 'discovery', tenant: 'acme' }), 'missing-token');
+      assert.strictEqual(await closedWith({ mode: 'discovery', tenant: 'nope' }), 'unknown-tenant');
+      assert.strictEqual(await closedWith({ mode: 'discovery', tenant: 'beta', token }), 'tenant-mismatch');
+      await h.settle(100);
+      assert.strictEqual(tenantHooks.acme.deliveries.length, 1, 'no call record for a call that failed acme auth');
+      assert.strictEqual(tenantHooks.global.deliveries.length, 1, 'nor for the default tenant');
+
+      const keyOf = { agent_discovery: 'xi_test_key', agent_daily: 'xi_test_key', agent_acme: 'xi_acme_key', agent_beta: 'xi_beta_key' };
+      assert.ok(h.el.signedUrlRequests.length >= 3, 'signed URLs requested');
+      for (const r of h.el.signedUrlRequests) assert.strictEqual(r.apiKey, keyOf[r.agentId], `key for ${r.agentId}`);
+    }
+  }
+};
@@ -0,0 +1,410 @@
+// scripts/harness/units.js – Direct checks of lib/ modules, run by scripts/replay.js without booting the bridge
+// Each entry: { unit: true, run() }; run() throws on a mismatch.
+//
+// Golden files live in scripts/harness/fixtures/; after an intended output change, rewrite them with
+//   UPDATE_GOLDEN=1 npm run replay -- codec-golden
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createOutputConverter, muLawToPcm16, linearToMuLaw } = require('../../lib/codec');
+const { createVad } = require('../../lib/vad');
+const { createLogger } = require('../../lib/logger');
+const { createRoutingRegistry } = require('../../lib/routing');
+const { compileTenant, envTenantConfig } = require('../../lib/tenants');
+const { createToolRegistry, registerBuiltinTools, parseTransferTargets } = require('../../lib/tools');
+const { pcmTone } = require('./fake-pcm');
+const { tone, silence, FRAME_BYTES } = require('./fake-twilio');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+
+// Compares against (or, with UPDATE_GOLDEN=1, rewrites) a golden file
+function golden(file, actual) {
+  if (UPDATE_GOLDEN) { fs.writeFileSync(file, actual); return; }
+  const expected = fs.readFileSync(file);
+  assert.ok(expected.equals(actual), `${path.basename(file)}: output differs from golden (${actual.length} vs ${expected.length} bytes)`);
+}
+
+// Feeds buf in chunks of the given sizes (cycled), so boundaries land mid-sample
+function pushInChunks(conv, buf, sizes) {
+  const out = [];
+  for (let o = 0, i = 0; o < buf.length; i++) {
+    const n = sizes[i % sizes.length];
+    out.push(conv.push(buf.subarray(o, o + n)));
+    o += n;
+  }
+  return Buffer.concat(out);
+}
+
+function rms(samples, skip = 0) {
+  let sum = 0;
+  for (let i = skip; i < samples.length; i++) sum += samples[i] * samples[i];
+  return Math.sqrt(sum / Math.max(1, samples.length - skip));
+}
+
+// Codec input: 300 ms of 440 Hz + 2.5 kHz (kept) + 6 kHz (above the 4 kHz telephony Nyquist; filtered)
+const CODEC_RATES = [16000, 22050, 24000, 44100];
+function codecInput(sampleRate) {
+  const parts = [[440, 6000], [2500, 3000], [6000, 3000]].map(([hz, amplitude]) => pcmTone(300, sampleRate, { hz, amplitude }));
+  const out = Buffer.alloc(parts[0].length);
+  for (let i = 0; i < out.length; i += 2) out.writeInt16LE(parts.reduce((s, p) => s + p.readInt16LE(i), 0), i);
+  return out;
+}
+
+// Logger writing into an array; returns [log, lines]
+function captureLogger(env) {
+  const lines = [];
+  return [createLogger({ env, write: line => lines.push(line) }), lines];
+}
+
+// Polls in real time (units run without the fake clock)
+async function waitFor(predicate, label, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${label}`);
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+// ---------- VAD fixtures (synthetic μ-law 8k)
+
+// Feeds 20 ms frames; returns [{ frame, event }] for frames that reported one
+function runVad(vad, muLaw, offset = 0) {
+  const events = [];
+  for (let o = 0; o + FRAME_BYTES <= muLaw.length; o += FRAME_BYTES) {
+    const r = vad.process(muLaw.subarray(o, o + FRAME_BYTES));
+    if (r.event) events.push({ frame: offset + o / FRAME_BYTES, event: r.event });
+  }
+  return events;
+}
+
+// Seeded white noise, frameDb(i) dBFS per 20 ms frame
+function noise(frames, frameDb, seed = 1) {
+  const out = Buffer.alloc(frames * FRAME_BYTES);
+  for (let f = 0; f < frames; f++) {
+    const peak = 32768 * 10 ** (frameDb(f) / 20) * Math.sqrt(3); // uniform noise: rms = peak / √3
+    for (let i = 0; i < FRAME_BYTES; i++) {
+      seed = (seed * 16807) % 2147483647;
+      out[f * FRAME_BYTES + i] = linearToMuLaw(Math.round((2 * seed / 2147483647 - 1) * peak));
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  // G.711 μ-law against values worked by hand from the standard (16-bit input, bias 0x84, clip 32635):
+  // the goldens only catch changes, these catch a wrong encoder
+  'g711-reference': {
+    unit: true,
+    run() {
+      const encode = [
+        [0, 0xFF], [1, 0xFF], [-1, 0x7F],   // zero and the smallest magnitudes
+        [123, 0xF0], [124, 0xEF], [-124, 0x6F], // last step of segment 0, first of segment 1
+        [1000, 0xCE], [-1000, 0x4E],
+        [32635, 0x80], [32767, 0x80], [-32768, 0x00] // clipped full scale
+      ];
+      for (const [sample, byte] of encode) assert.strictEqual(linearToMuLaw(sample), byte, `encode ${sample} -> 0x${byte.toString(16)}`);
+      const decode = [[0xFF, 0], [0x7F, 0], [0xF0, 120], [0xEF, 132], [0xCE, 988], [0x4E, -988], [0x80, 32124], [0x00, -32124]];
+      for (const [byte, sample] of decode) assert.strictEqual(muLawToPcm16(Buffer.from([byte]))[0], sample, `decode 0x${byte.toString(16)} -> ${sample}`);
+    }
+  },
+
+  // EL output formats -> μ-law 8k match the golden files, however the input is split (odd byte boundaries included)
+  'codec-golden': {
+    unit: true,
+    run() {
+      const dir = path.join(FIXTURES, 'codec');
+      if (UPDATE_GOLDEN) fs.mkdirSync(dir, { recursive: true });
+      for (const rate of CODEC_RATES) {
+        const fmt = `pcm_${rate}`;
+        const inputFile = path.join(dir, `${fmt}.pcm`);
+        if (UPDATE_GOLDEN) fs.writeFileSync(inputFile, codecInput(rate));
+        const input = fs.readFileSync(inputFile);
+
+        const whole = createOutputConverter(fmt).push(input);
+        assert.strictEqual(whole.length, 2400, `${fmt}: 300 ms -> 2400 μ-law bytes`);
+        golden(path.join(dir, `${fmt}.golden.ulaw`), whole);
+
+        for (const sizes of [[1], [3, 7], [161, 2, 333], [input.length - 1, 1]]) {
+          const split = pushInChunks(createOutputConverter(fmt), input, sizes);
+          assert.ok(split.equals(whole), `${fmt}: chunks of ${sizes.join('/')} bytes match the single push`);
+        }
+
+        // Anti-alias: a tone above 4 kHz must not fold back into the band
+        const alias = muLawToPcm16(createOutputConverter(fmt).push(pcmTone(300, rate, { hz: 6000, amplitude: 8000 })));
+        assert.ok(rms(alias, 40) < 50, `${fmt}: 6 kHz tone filtered (rms ${rms(alias, 40).toFixed(1)})`);
+      }
+    }
+  },
+
+  // Phone masking (by key, and E.164 anywhere in text) and transcript suppression, on the emitted lines
+  'log-redaction': {
+    unit: true,
+    run() {
+      const call = log => {
+        log.child({ sessionId: 's1', phone: '+15551234567' }, { since: Date.now() })('EL_RECV', 'User transcript from +447700900123', {
+          transcript: 'my number is +15550001111', caller_phone: '+15551234567', nested: { to: '5551234567', note: 'call +15550002222' }
+        });
+      };
+
+      const [masked, maskedLines] = captureLogger({ LOG_FORMAT: 'json', LOG_TRANSCRIPTS: '0' });
+      call(masked);
+      const line = JSON.parse(maskedLines[0]);
+      assert.strictEqual(line.phone, '+*******4567', 'correlation field masked');
+      assert.strictEqual(line.msg, 'User transcript from +********0123', 'E.164 in the message masked');
+      assert.strictEqual(line.data.caller_phone, '+*******4567');
+      assert.strictEqual(line.data.nested.to, '******4567', 'phone keys masked without a +');
+      assert.strictEqual(line.data.nested.note, 'call +*******2222', 'E.164 in other strings masked');
+      assert.strictEqual(line.data.transcript, '[25 chars]', 'transcript body dropped');
+      assert.doesNotMatch(maskedLines[0], /1234567|0001111|0002222|900123/);
+
+      const [open, openLines] = captureLogger({ LOG_FORMAT: 'json', LOG_REDACT_PHONES: '0', LOG_TRANSCRIPTS: '1' });
+      call(open);
+      const plain = JSON.parse(openLines[0]);
+      assert.strictEqual(plain.phone, '+15551234567');
+      assert.strictEqual(plain.msg, 'User transcript from +447700900123');
+      assert.strictEqual(plain.data.transcript, 'my number is +15550001111', 'LOG_TRANSCRIPTS=1 keeps the text');
+
+      // Transcripts default off in production; the text format is redacted the same way
+      const [prod, prodLines] = captureLogger({ LOG_FORMAT: 'text', NODE_ENV: 'production' });
+      call(prod);
+      assert.match(prodLines[0], /^\[EL_RECV:s1:\d+ms\] User transcript from \+\*{8}0123 /);
+      assert.match(prodLines[0], /"transcript":"\[25 chars\]"/);
+      assert.doesNotMatch(prodLines[0], /1234567|0001111|0002222|900123/);
+      const [dev, devLines] = captureLogger({ LOG_FORMAT: 'text', NODE_ENV: 'development' });
+      call(dev);
+      assert.match(devLines[0], /"transcript":"my number is \+\*{7}1111"/, 'transcripts on outside production, numbers still masked');
+    }
+  },
+
+  // Time-of-day rules: time zone, days, end exclusive, overnight windows owned by the day they start; bad times refused
+  'routing-hours': {
+    unit: true,
+    run() {
+      const routing = createRoutingRegistry({
+        env: {},
+        log: () => {},
+        config: {
+          routes: [
+            { name: 'night', match: { hours: { tz: 'America/New_York', days: ['fri'], start: '22:00', end: '06:00' } }, agentId: 'agent_night' },
+            { name: 'office', match: { hours: { tz: 'UTC', days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '09:00', end: '17:00' } }, agentId: 'agent_office' },
+            { name: 'sunday-evening', match: { hours: { days: ['sun'], start: '18:00', end: '24:00' } }, agentId: 'agent_sunday' },
+            { name: 'fallback', agentId: 'agent_default' }
+          ]
+        }
+      });
+      const at = iso => routing.resolve({ mode: 'discovery' }, new Date(iso)).route;
+      assert.strictEqual(at('2024-01-06T04:30:00Z'), 'night', 'Fri 23:30 New York');
+      assert.strictEqual(at('2024-01-06T10:59:00Z'), 'night', 'Sat 05:59 New York: the tail of Friday night');
+      assert.strictEqual(at('2024-01-06T11:00:00Z'), 'fallback', 'Sat 06:00 New York: window over');
+      assert.strictEqual(at('2024-01-05T08:00:00Z'), 'fallback', 'Fri 03:00 New York belongs to Thursday night, not a night day');
+      assert.strictEqual(at('2024-01-05T09:00:00Z'), 'office', 'start is inclusive');
+      assert.strictEqual(at('2024-01-05T16:59:00Z'), 'office');
+      assert.strictEqual(at('2024-01-05T17:00:00Z'), 'fallback', 'end is exclusive');
+      assert.strictEqual(at('2024-01-06T12:00:00Z'), 'fallback', 'office closed on Saturday');
+      assert.strictEqual(at('2024-01-07T23:59:00Z'), 'sunday-evening', 'end 24:00 runs to midnight');
+      assert.strictEqual(at('2024-01-08T00:00:00Z'), 'fallback');
+
+      const compile = hours => createRoutingRegistry({ env: {}, log: () => {}, config: { routes: [{ agentId: 'a', match: { hours } }] } });
+      for (const [hours, error] of [
+        [{ start: '24:59' }, /hours\.start must be HH:MM, 00:00-23:59/],
+        [{ start: '24:00' }, /hours\.start must be HH:MM/],
+        [{ end: '24:01' }, /hours\.end must be HH:MM, 00:00-24:00/],
+        [{ end: '25:00' }, /hours\.end/],
+        [{ start: '09:60' }, /hours\.start/],
+        [{ start: '9am' }, /hours\.start/],
+        [{ tz: 'Mars/Olympus' }, /unknown time zone/],
+        [{ days: ['someday'] }, /bad day/]
+      ]) assert.throws(() => compile(hours), error, JSON.stringify(hours));
+      compile({ start: '00:00', end: '24:00' });
+    }
+  },
+
+  // customParameters.agent_id only wins when it is a route agent, in allowedAgentIds or in AGENT_ALLOWLIST
+  'routing-allowlist': {
+    unit: true,
+    run() {
+      const ignored = [];
+      const routing = createRoutingRegistry({
+        env: { AGENT_ALLOWLIST: 'agent_env, agent_env2' },
+        log: (cat, msg) => ignored.push(msg),
+        config: {
+          allowedAgentIds: ['agent_extra'],
+          routes: [{ name: 'daily', match: { mode: 'daily' }, agentId: 'agent_daily', dynamicVariables: { tone: 'brisk' } }, { name: 'main', agentId: 'agent_main' }]
+        }
+      });
+      const pick = (mode, requestedAgentId) => routing.resolve({ mode, requestedAgentId });
+      assert.deepStrictEqual(pick('daily', 'agent_main'), { agentId: 'agent_main', route: 'daily', dynamicVariables: { tone: 'brisk' }, via: 'requested' }, 'another route\'s agent');
+      assert.strictEqual(pick('discovery', 'agent_extra').via, 'requested');
+      assert.strictEqual(pick('discovery', 'agent_env2').agentId, 'agent_env2', 'AGENT_ALLOWLIST entries are trimmed');
+      for (const forged of ['agent_evil', 'constructor', '__proto__']) {
+        assert.deepStrictEqual(pick('discovery', forged), { agentId: 'agent_main', route: 'main', dynamicVariables: {}, via: 'route' }, forged);
+      }
+      assert.strictEqual(ignored.filter(m => /not on allow-list/.test(m)).length, 3);
+      assert.deepStrictEqual(routing.agentIds, ['agent_daily', 'agent_main']);
+    }
+  },
+
+  // AGENT_ROUTES_FILE is re-read when it changes; an invalid edit keeps the last good version
+  'routing-reload': {
+    unit: true,
+    async run() {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-routes-')), 'routes.json');
+      const write = (content, bumpSec) => {
+        fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+        const t = new Date(Date.now() + bumpSec * 1000);
+        fs.utimesSync(file, t, t); // same-second writes would keep the mtime the watcher compares
+      };
+      write({ routes: [{ name: 'v1', agentId: 'agent_v1' }] }, 0);
+      const logs = [];
+      const routing = createRoutingRegistry({ env: { AGENT_ROUTES_FILE: file, AGENT_ROUTES_REFRESH_MS: '10' }, log: (cat, msg) => logs.push(msg) });
+      try {
+        assert.strictEqual(routing.source, `file:${file}`);
+        assert.strictEqual(routing.resolve({ mode: 'discovery' }).agentId, 'agent_v1');
+
+        write({ allowedAgentIds: ['agent_extra'], routes: [{ name: 'v2', agentId: 'agent_v2' }] }, 10);
+        await waitFor(() => routing.version === 2, 'reload');
+        assert.strictEqual(routing.resolve({ mode: 'discovery' }).agentId, 'agent_v2');
+        assert.strictEqual(routing.resolve({ mode: 'discovery', requestedAgentId: 'agent_extra' }).via, 'requested', 'allow-list reloaded too');
+
+        write({ routes: [{ name: 'broken' }] }, 20);
+        await waitFor(() => logs.some(m => /Reload failed, keeping v2/.test(m)), 'failed reload');
+        assert.strictEqual(routing.version, 2);
+        assert.strictEqual(routing.resolve({ mode: 'discovery' }).agentId, 'agent_v2', 'last good routes kept');
+      } finally {
+        routing.stop();
+      }
+    }
+  },
+
+  // Onset after minSpeechMs of loud frames; a blip shorter than that is not speech
+  // A tenant without token secrets or a static token is a config error unless it opts out of auth
+  'tenant-auth': {
+    unit: true,
+    run() {
+      const opts = { env: { BETA_SECRETS: 'b1:beta-secret' }, log: () => {}, label: 'tenants.beta', loopback: true };
+      const compile = auth => compileTenant('beta', { elevenlabsApiKey: 'xi_beta_key', agents: { discovery: 'agent_beta' }, auth }, opts);
+      const authOf = t => { t.routing.stop(); return { authRequired: t.authRequired, kids: t.tokenKeys.map(k => k.kid), staticToken: t.staticToken }; };
+
+      assert.throws(() => compile(undefined), /tenants\.beta\.auth: tokenSecrets or staticToken is required \(or allowUnauthenticated: true\)/);
+      assert.throws(() => compile({ tokenSecrets: { env: 'UNSET' } }), /env UNSET is not set/);
+      assert.throws(() => compile({ allowUnauthenticated: 'yes' }), /allowUnauthenticated: must be true or false/);
+      assert.throws(() => compile({ allowUnauthenticated: true, staticToken: 'beta-static' }), /not allowed with tokenSecrets or staticToken/);
+      assert.throws(() => compile({ none: true }), /unknown key "none"/);
+
+      assert.deepStrictEqual(authOf(compile({ allowUnauthenticated: true })), { authRequired: false, kids: [], staticToken: null });
+      assert.deepStrictEqual(authOf(compile({ tokenSecrets: { env: 'BETA_SECRETS' } })), { authRequired: true, kids: ['b1'], staticToken: null });
+      assert.deepStrictEqual(authOf(compile({ staticToken: 'beta-static' })), { authRequired: true, kids: [], staticToken: 'beta-static' });
+
+      // The legacy single-tenant env stays open until BRIDGE_TOKEN_SECRETS / BRIDGE_AUTH_TOKEN is set
+      assert.deepStrictEqual(envTenantConfig({}).auth, { allowUnauthenticated: true });
+      assert.deepStrictEqual(envTenantConfig({ BRIDGE_AUTH_TOKEN: 'legacy' }).auth, { tokenSecrets: null, staticToken: 'legacy' });
+    }
+  },
+
+  // transfer_call dials only configured targets; inherited object keys are not targets
+  'transfer-targets': {
+    unit: true,
+    async run() {
+      const tools = registerBuiltinTools(createToolRegistry());
+      const transfers = [];
+      const ctx = {
+        callSid: 'CA1',
+        transferTargets: Object.freeze(parseTransferTargets('default:+15550100,billing:+15550101')),
+        twilio: { async transferCall(callSid, number) { transfers.push(number); } }
+      };
+      const transfer = target => tools.run({ tool_name: 'transfer_call', tool_call_id: 't', parameters: target === undefined ? {} : { target } }, ctx);
+
+      assert.deepStrictEqual(JSON.parse((await transfer('billing')).result), { ok: true, target: 'billing' });
+      assert.strictEqual((await transfer()).is_error, false, 'target defaults to "default"');
+      for (const target of ['sales', 'constructor', '__proto__', 'toString', 'hasOwnProperty']) {
+        const reply = await transfer(target);
+        assert.strictEqual(reply.is_error, true, target);
+        assert.strictEqual(reply.result, `transfer_call failed: unknown transfer target "${target}"`);
+      }
+      assert.deepStrictEqual(transfers, ['+15550101', '+15550100'], 'only configured numbers dialed');
+    }
+  },
+
+  'vad-onset': {
+    unit: true,
+    run() {
+      const vad = createVad({ minSpeechMs: 100 });
+      assert.deepStrictEqual(runVad(vad, Buffer.concat([silence(500), tone(60), silence(500)])), [], '60 ms blip ignored');
+      assert.deepStrictEqual(runVad(vad, Buffer.concat([silence(200), tone(300)])), [{ frame: 14, event: 'start' }], 'start on the 5th loud frame');
+      assert.strictEqual(vad.speech, true);
+    }
+  },
+
+  // Speech ends hangoverMs after the last loud frame; gaps shorter than the hangover keep the turn
+  'vad-hangover': {
+    unit: true,
+    run() {
+      const vad = createVad({ minSpeechMs: 100, hangoverMs: 800 });
+      const audio = Buffer.concat([tone(300), silence(600), tone(200), silence(1000)]);
+      assert.deepStrictEqual(runVad(vad, audio), [{ frame: 4, event: 'start' }, { frame: 94, event: 'end' }], '600 ms gap bridged; end 800 ms after speech');
+      vad.process(tone(20));
+      vad.resetSpeech();
+      assert.strictEqual(vad.speech, false, 'resetSpeech drops the utterance');
+    }
+  },
+
+  // The floor follows slowly rising line noise (no false start), drops fast, and speech still stands out
+  'vad-noise-floor': {
+    unit: true,
+    run() {
+      const fresh = createVad();
+      assert.deepStrictEqual(runVad(fresh, noise(50, () => -44)).map(e => e.event), ['start'], 'sudden -44 dBFS noise reads as speech on a fresh floor');
+
+      const vad = createVad();
+      assert.deepStrictEqual(runVad(vad, noise(300, f => -60 + 16 * f / 300)), [], 'noise ramping -60 -> -44 dBFS over 6 s is not speech');
+      runVad(vad, noise(100, () => -44));
+      assert.ok(vad.noiseFloorDb > -47 && vad.noiseFloorDb < -43, `floor rose to the noise (${vad.noiseFloorDb.toFixed(1)} dBFS)`);
+      assert.strictEqual(vad.speech, false);
+      assert.deepStrictEqual(runVad(vad, tone(200)).map(e => e.event), ['start'], 'speech above the raised floor');
+
+      vad.resetSpeech();
+      runVad(vad, noise(20, () => -65, 7));
+      assert.ok(vad.noiseFloorDb < -62, `floor falls within 400 ms once the line is quiet (${vad.noiseFloorDb.toFixed(1)} dBFS)`);
+    }
+  },
+
+  // A step up in line noise mid-turn: the floor follows it during speech, so the turn ends well
+  // before UTTER_MAX_MS (3 s) and the new noise does not start another. Speech with gaps holds the floor.
+  'vad-noise-step': {
+    unit: true,
+    run() {
+      const vad = createVad();
+      assert.deepStrictEqual(runVad(vad, noise(50, () => -60)), [], 'quiet line');
+      const events = runVad(vad, noise(250, () => -44, 3), 50);
+      assert.deepStrictEqual(events.map(e => e.event), ['start', 'end'], 'one turn, then the noise is the floor');
+      const turnMs = (events[1].frame - events[0].frame) * 20;
+      assert.ok(turnMs < 2500, `turn ended ${turnMs} ms after the noise step (UTTER_MAX_MS is 3000)`);
+      assert.ok(vad.noiseFloorDb > -50, `floor rose toward the noise (${vad.noiseFloorDb.toFixed(1)} dBFS)`);
+      assert.deepStrictEqual(runVad(vad, tone(200)).map(e => e.event), ['start'], 'speech above the new floor');
+
+      const talker = createVad();
+      runVad(talker, noise(50, () => -60));
+      const words = [];
+      for (let i = 0; i < 12; i++) words.push(tone(300), noise(8, () => -60, i + 1)); // 300 ms words, 160 ms gaps
+      assert.deepStrictEqual(runVad(talker, Buffer.concat(words)).map(e => e.event), ['start'], '5.5 s of speech is one open turn');
+      assert.ok(talker.noiseFloorDb < -57, `floor held through speech (${talker.noiseFloorDb.toFixed(1)} dBFS)`);
+    }
+  },
+
+  // μ-law 0xFF is digital silence (PCM 0, -Infinity dB): never speech, and the floor stays finite
+  'vad-digital-silence': {
+    unit: true,
+    run() {
+      const vad = createVad();
+      const r = vad.process(silence(20));
+      assert.strictEqual(r.energyDb, -Infinity);
+      assert.deepStrictEqual(runVad(vad, silence(5000)), []);
+      assert.ok(Number.isFinite(vad.noiseFloorDb) && Number.isFinite(r.thresholdDb), 'floor and threshold stay finite');
+      assert.deepStrictEqual(runVad(vad, tone(200)).map(e => e.event), ['start'], 'speech after digital silence');
+      assert.deepStrictEqual(runVad(vad, silence(1000)).map(e => e.event), ['end'], 'digital silence ends the turn');
+    }
+  }
+};
@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+// scripts/mint-token.js – Mint a signed stream token for <Parameter name="token">
+// Usage: BRIDGE_TOKEN_SECRETS=kid:secret node scripts/mint-token.js --call-sid CA123 [--mode daily] [--agent agent_x] [--tenant acme] [--ttl 300]
+// A tenant's token is signed with that tenant's auth.tokenSecrets (lib/tenants.js), passed here as BRIDGE_TOKEN_SECRETS
+
+const { parseSecrets, mintStreamToken, DEFAULT_TTL_SEC } = require('../lib/tokens');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([a-z-]+)$/.exec(argv[i]);
+    if (!m) throw new Error(`Unexpected argument: ${argv[i]}`);
+    args[m[1]] = argv[++i];
+  }
+  return args;
+}
+
+try {
+  const args = parseArgs(process.argv.slice(2));
+  const token = mintStreamToken({
+    callSid: args['call-sid'],
+    mode: args.mode,
+    agentId: args.agent,
+    tenant: args.tenant,
+    ttlSec: args.ttl ? parseInt(args.ttl, 10) : DEFAULT_TTL_SEC
+  }, parseSecrets(process.env.BRIDGE_TOKEN_SECRETS));
+  process.stdout.write(token + '\n');
+} catch (e) {
+  console.error(`mint-token: ${e.message}`);
+  process.exit(1);
+}
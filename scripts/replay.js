@@ -0,0 +1,66 @@
+// scripts/replay.js – Replay scripted calls against the bridge, offline
+// Fake Twilio + fake ElevenLabs + fake timers (scripts/harness); each scenario runs in its own process.
+// Unit checks (scripts/harness/units.js) run first, in the same way but without booting the bridge.
+//
+// Usage:
+//   npm test  (or npm run replay)        # every unit check and scenario
+//   npm run replay -- barge-in stop      # just these
+//   node scripts/replay.js --verbose ... # print bridge logs for passing scenarios too
+
+const { spawnSync } = require('child_process');
+const scenarios = { ...require('./harness/units'), ...require('./harness/scenarios') };
+
+const SCENARIO_TIMEOUT_MS = 30_000;
+
+async function runOne(name) {
+  const scenario = scenarios[name];
+  if (scenario.unit) {
+    try { await scenario.run(); } catch (e) { console.error(e.stack || e.message); process.exit(1); }
+    process.exit(0);
+  }
+  const { startHarness } = require('./harness');
+  const env = typeof scenario.env === 'function' ? await scenario.env() : scenario.env;
+  const h = await startHarness({ env, el: scenario.el });
+  let failure = null;
+  try { await scenario.run(h); } catch (e) { failure = e; }
+  await h.stop();
+  if (failure) {
+    console.log(h.logs.slice(-60).join('\n'));
+    console.error(failure.stack || failure.message);
+    process.exit(1);
+  }
+  if (process.env.REPLAY_VERBOSE === '1') console.log(h.logs.join('\n'));
+  process.exit(0);
+}
+
+function main(argv) {
+  if (argv[0] === '--scenario') return runOne(argv[1]);
+  const verbose = argv.includes('--verbose');
+  const names = argv.filter(a => !a.startsWith('--'));
+  const unknown = names.filter(n => !scenarios[n]);
+  if (unknown.length) {
+    console.error(`Unknown scenario(s): ${unknown.join(', ')}. Known: ${Object.keys(scenarios).join(', ')}`);
+    process.exit(2);
+  }
+
+  let failed = 0;
+  for (const name of names.length ? names : Object.keys(scenarios)) {
+    const t0 = Date.now();
+    const r = spawnSync(process.execPath, [__filename, '--scenario', name], {
+      encoding: 'utf8',
+      timeout: SCENARIO_TIMEOUT_MS,
+      env: { ...process.env, REPLAY_VERBOSE: verbose ? '1' : '0' }
+    });
+    const ok = r.status === 0;
+    if (!ok) failed++;
+    console.log(`${ok ? 'PASS' : 'FAIL'} ${name} (${Date.now() - t0}ms)`);
+    if (!ok || verbose) {
+      if (r.error) console.log(`  ${r.error.message}`);
+      process.stdout.write(r.stdout || '');
+      process.stdout.write(r.stderr || '');
+    }
+  }
+  process.exit(failed ? 1 : 0);
+}
+
+main(process.argv.slice(2));
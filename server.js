@@ -2,45 +2,179 @@
 // - FIX: Optimistic readiness if EL metadata doesn't arrive (EL_READY_FALLBACK_MS)
 // - FIX: Don't block mic flushes on elReady; require only elOpen
 // - Uses signed URL first, falls back to /convai/twilio
-// - Sends caller mic as { user_audio_chunk: "<base64 μ-law 8k 20ms>" }
-// - Forwards ONLY inbound audio from Twilio
+// - Sends caller mic as { user_audio_chunk: "<base64 20ms>" } in the agent's input format
+// - Resamples any EL output format to μ-law 8k (lib/codec.js)
+// - Forwards ONLY inbound (caller) audio
 // - Handles exact-id pong + barge-in clear
-// - Supports discovery/daily agents via customParameters
+// - Caller side is a transport adapter (lib/transports): Twilio Media Streams on /media-stream (and /ws),
+//   linear PCM from browsers or Vonage-style audio sockets on /pcm-stream
+// - Routes calls to agents via lib/routing.js (mode, numbers, time of day, allow-list)
 //
 // Env (Railway):
-//   ELEVENLABS_API_KEY (required)
-//   ELEVENLABS_DISCOVERY_AGENT_ID (required)
-//   ELEVENLABS_DAILY_AGENT_ID (optional)
-//   BRIDGE_AUTH_TOKEN (optional)  // recommended
+//   TENANTS_FILE=tenants.yaml | TENANTS_TABLE=bridge_tenants (optional; per-tenant EL key, agents, tuning, auth
+//     and features, see lib/tenants.js). Without them the settings marked (tenant) below make the one "default" tenant
+//   ELEVENLABS_API_KEY (required; tenant)
+//   ELEVENLABS_API_BASE=https://api.elevenlabs.io ELEVENLABS_WS_BASE=wss://api.elevenlabs.io (optional; scripts/harness points these at a fake)
+//   ELEVENLABS_DISCOVERY_AGENT_ID (required unless routes are configured; tenant)
+//   ELEVENLABS_DAILY_AGENT_ID (optional; tenant)
+//   AGENT_ROUTES_FILE=routes.yaml | AGENT_ROUTES_TABLE=agent_routes (optional; tenant; see lib/routing.js)
+//   AGENT_ROUTES_REFRESH_MS AGENT_ALLOWLIST=id1,id2 (optional)
+//   CONVERSATION_POLICY_FILE=policy.yaml (optional; tenant; first message, silence reprompts, turn-end nudge, keypad; see lib/policy.js)
+//   BRIDGE_TOKEN_SECRETS=kid:secret[,kid:secret] (recommended; tenant; signed stream tokens, see lib/tokens.js)
+//   BRIDGE_AUTH_TOKEN (optional; tenant; legacy static token, ignored when BRIDGE_TOKEN_SECRETS is set)
+//   AUTH_START_TIMEOUT_MS=5000 (optional; close sockets that never send an authenticated 'start')
+//   TWILIO_AUTH_TOKEN (required for POST /twiml and /status-callback)
+//   PUBLIC_BASE_URL=https://bridge.example.com (recommended; used for signature checks and the Stream URL)
+//   TWILIO_VALIDATE_SIGNATURE=1 (optional; 0 disables X-Twilio-Signature checks for local testing)
+//   ADMIN_API_TOKEN (optional; enables /sessions admin routes with Authorization: Bearer <token>)
+//   METRICS_TOKEN (optional; require Authorization: Bearer <token> on GET /metrics)
+//   RECORDING_ENABLED=0 (optional; tenant) RECORDING_REQUIRE_CONSENT=1 RECORDING_RETENTION_DAYS=30 (optional; per call: record, recording_consent)
+//   TWILIO_ACCOUNT_SID (optional) TRANSFER_TARGETS=default:+15550100,billing:+15550101 (optional; tenant; transfer_call tool)
+//   TWILIO_REST_STUB=0|1 (optional; record Twilio REST calls instead of making them)
+//   RECORDING_STORE=local|supabase RECORDING_DIR=/tmp/recordings RECORDING_BUCKET=call-recordings (optional)
 //   NODE_ENV=production (recommended)
+//   CALL_WEBHOOK_URLS CALL_WEBHOOK_SECRET (optional; tenant) CALL_WEBHOOK_OUTBOX=/tmp/call-outbox (optional; signed call.completed records, see lib/webhooks.js)
+//   MAX_CONCURRENT_SESSIONS MAX_SESSIONS_PER_AGENT AGENT_SESSION_LIMITS CALLER_RATE_LIMIT_MAX (optional; see lib/limits.js)
+//   BUSY_AUDIO_PATH=/app/busy.ulaw (optional; played to callers refused by a limit, else a clean close)
+//   MAX_CALL_DURATION_MS=0 MAX_CALL_WRAP_UP_MS=60000 (optional; agent asked to wrap up, then the call ends)
+//   DRAIN_GRACE_MS=60000 DRAIN_WRAP_UP=0 DRAIN_WRAP_UP_TEXT="..." (optional; SIGTERM drain, keep under the platform's kill timeout)
 //   LOOPBACK_ONLY=0|1 (optional)
-//   SILENCE_MS=800 EL_BUFFER_MS=200 UTTER_MAX_MS=3000 (optional tuning)
+//   SILENCE_MS=800 EL_BUFFER_MS=200 UTTER_MAX_MS=3000 (optional tuning; tenant)
+//   VAD_MARGIN_DB=9 VAD_MIN_SPEECH_MS=100 VAD_MIN_ENERGY_DB=-50 VAD_NOISE_ADAPT_MS=2000 (optional; tenant; SILENCE_MS is the VAD hangover)
 //   LOG_FRAMES_EVERY=20 LOG_MARK_ACKS=0 DEBUG_AUDIO=0 (optional)
-//   EL_READY_FALLBACK_MS=1000 (optional; optimistic ready if metadata is late)
+//   LOG_FORMAT=json|text LOG_LEVEL=info LOG_LEVELS=EL_SEND=debug LOG_REDACT_PHONES=1 LOG_TRANSCRIPTS=0|1 (optional; see lib/logger.js)
+//   OTEL_TRACING=1 OTEL_SERVICE_NAME=twilio-ws-bridge (optional; needs @opentelemetry/api + an SDK, see lib/tracing.js)
+//   PLAYOUT_LEAD_MS=200 PLAYOUT_MARK_EVERY=5 (optional; outbound pacing, see lib/playout.js)
+//   EL_READY_FALLBACK_MS=1000 (optional; tenant; optimistic ready if metadata is late)
+//   EL_RECONNECT_MAX=5 EL_RECONNECT_BASE_MS=500 EL_RECONNECT_MAX_DELAY_MS=8000 (optional; mid-call EL reconnect)
+//   EL_RECONNECT_BUFFER_MS=4000 EL_RECAP_TURNS=6 EL_HOLD_AUDIO_PATH=/app/hold.ulaw (optional)
+//   EL_URL_POOL_SIZE=2 EL_SIGNED_URL_TTL_MS=600000 (optional; pre-fetched signed URLs per agent, see lib/warmup.js)
+//   EL_EARLY_CONNECT=1 (optional; tenant; connect at upgrade when the URL query names mode/agent_id, before 'start')
+//   SESSION_STORE=supabase|memory|none SUPABASE_URL SUPABASE_SERVICE_ROLE_KEY (optional; see lib/store.js)
+//   PROFILE_PROVIDER=supabase|fixture|none PROFILE_FIXTURES PROFILE_OVERRIDE_FIELDS (optional; caller profiles, see lib/profiles.js)
 
 const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
 const url = require('url');
 const { WebSocketServer, WebSocket } = require('ws');
+const { createStore, createSessionWriter } = require('./lib/store');
+const { createVad, vadOptionsFromParams } = require('./lib/vad');
+const { createOutputConverter, createInputConverter } = require('./lib/codec');
+const { createPlayout } = require('./lib/playout');
+const { createPolicyProvider } = require('./lib/policy');
+const { createTenantRegistry } = require('./lib/tenants');
+const { createProfileProvider } = require('./lib/profiles');
+const { createLimiter } = require('./lib/limits');
+const { createTransport, transportForPath, TRANSPORT_PATHS } = require('./lib/transports');
+const { createDigitCollector } = require('./lib/dtmf');
+const { mintStreamToken, verifyStreamToken, checkBinding } = require('./lib/tokens');
+const { validateSignature, publicBaseUrl, publicUrl, buildStreamTwiml, createTwilioRestClient, createStubTwilioClient } = require('./lib/twilio');
+const { createSessionRegistry } = require('./lib/sessions');
+const { createMetrics } = require('./lib/metrics');
+const { createCallRecorder, createRecordingStorage, objectPathFor } = require('./lib/recorder');
+const { createToolRegistry, registerBuiltinTools } = require('./lib/tools');
+const { createLogger } = require('./lib/logger');
+const { createTracing } = require('./lib/tracing');
+
+const logger = createLogger();
+const tracing = createTracing({ log: msg => logger.warn('CONFIG', msg) });
 
 const PORT = process.env.PORT || 8080;
-const BRIDGE_AUTH_TOKEN = process.env.BRIDGE_AUTH_TOKEN || null;
-const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY || null;
-const DISCOVERY_ID = process.env.ELEVENLABS_DISCOVERY_AGENT_ID || null;
-const DAILY_ID = process.env.ELEVENLABS_DAILY_AGENT_ID || null;
+const AUTH_START_TIMEOUT_MS = parseInt(process.env.AUTH_START_TIMEOUT_MS || '5000', 10);
+const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN || null;
+const TWILIO_VALIDATE_SIGNATURE = (process.env.TWILIO_VALIDATE_SIGNATURE || '1').trim() !== '0';
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || null;
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN || null;
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID || null;
+const TWILIO_REST_STUB = (process.env.TWILIO_REST_STUB || '0').trim() === '1';
+const RECORDING_REQUIRE_CONSENT = (process.env.RECORDING_REQUIRE_CONSENT || '1').trim() !== '0';
+const RECORDING_RETENTION_DAYS = parseInt(process.env.RECORDING_RETENTION_DAYS || '30', 10);
+const MAX_RECORD_TURNS = 2000; // call.completed transcript cap
+const REPEAT_MAX_BYTES = 30 * 8000; // "repeat" key: up to 30 s of the last agent utterance (μ-law 8k)
+const REPEAT_GAP_MS = 2000; // agent audio after this long a pause starts a new utterance
+const CALL_SESSION_TTL_MS = 10 * 60_000; // keep callSid -> session links for late status callbacks
+const DRAIN_GRACE_MS = parseInt(process.env.DRAIN_GRACE_MS || '60000', 10);
+const DRAIN_FLUSH_TIMEOUT_MS = 10_000; // after the grace period: closing handshakes + final store writes
+const DRAIN_WRAP_UP = (process.env.DRAIN_WRAP_UP || '0').trim() === '1';
+const DRAIN_WRAP_UP_TEXT = process.env.DRAIN_WRAP_UP_TEXT || 'The line is about to be disconnected for maintenance. Wrap up the conversation politely in the next few sentences and say goodbye.';
+const ELEVENLABS_API_BASE = (process.env.ELEVENLABS_API_BASE || 'https://api.elevenlabs.io').replace(/\/+$/, '');
+const ELEVENLABS_WS_BASE = (process.env.ELEVENLABS_WS_BASE || 'wss://api.elevenlabs.io').replace(/\/+$/, '');
 const LOOPBACK_ONLY = (process.env.LOOPBACK_ONLY || '').trim() === '1';
 
 // Tunables
 const LOG_FRAMES_EVERY = parseInt(process.env.LOG_FRAMES_EVERY || '20', 10);
 const LOG_MARK_ACKS = (process.env.LOG_MARK_ACKS || '0').trim() === '1';
-const SILENCE_MS = parseInt(process.env.SILENCE_MS || '800', 10);
-const EL_BUFFER_MS = parseInt(process.env.EL_BUFFER_MS || '200', 10);
-const UTTER_MAX_MS = parseInt(process.env.UTTER_MAX_MS || '3000', 10);
-const EL_READY_FALLBACK_MS = parseInt(process.env.EL_READY_FALLBACK_MS || '1000', 10);
-const FRAMES_PER_PACKET = Math.max(1, Math.round(EL_BUFFER_MS / 20));
+const PLAYOUT_LEAD_MS = parseInt(process.env.PLAYOUT_LEAD_MS || '200', 10);
+const PLAYOUT_MARK_EVERY = Math.max(1, parseInt(process.env.PLAYOUT_MARK_EVERY || '5', 10));
+const EL_RECONNECT_MAX = parseInt(process.env.EL_RECONNECT_MAX || '5', 10);
+const EL_RECONNECT_BASE_MS = parseInt(process.env.EL_RECONNECT_BASE_MS || '500', 10);
+const EL_RECONNECT_MAX_DELAY_MS = parseInt(process.env.EL_RECONNECT_MAX_DELAY_MS || '8000', 10);
+const EL_RECONNECT_BUFFER_FRAMES = Math.max(1, Math.round(parseInt(process.env.EL_RECONNECT_BUFFER_MS || '4000', 10) / 20));
+const EL_RECAP_TURNS = parseInt(process.env.EL_RECAP_TURNS || '6', 10);
+const HOLD_AUDIO = loadPromptAudio(process.env.EL_HOLD_AUDIO_PATH);
+const BUSY_AUDIO = loadPromptAudio(process.env.BUSY_AUDIO_PATH);
+const MAX_CALL_DURATION_MS = parseInt(process.env.MAX_CALL_DURATION_MS || '0', 10);
+const MAX_CALL_WRAP_UP_MS = parseInt(process.env.MAX_CALL_WRAP_UP_MS || '60000', 10);
+const MAX_CALL_WRAP_UP_TEXT = 'The call is reaching its time limit. Wrap up the conversation politely in the next few sentences and say goodbye.';
+
+const store = createStore();
+const tenants = createTenantRegistry({ fetchSignedUrl, log: logger }); // throws at startup on invalid tenant config
+const BASE_POLICY = createPolicyProvider({ env: {} }).resolve({}); // until a session knows its tenant
+const profiles = createProfileProvider();
+const limiter = createLimiter();
+const callSessions = new Map(); // CallSid (or PCM callId) -> bridge sessionId
+const pendingWrites = new Set(); // end-of-call persistence still in flight; drain waits on these
+const sessions = createSessionRegistry();
+const recordingStorage = createRecordingStorage();
+const tools = registerBuiltinTools(createToolRegistry());
+const twilioRest = TWILIO_REST_STUB ? createStubTwilioClient()
+  : TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN ? createTwilioRestClient({ accountSid: TWILIO_ACCOUNT_SID, authToken: TWILIO_AUTH_TOKEN })
+  : null;
+
+// Metrics (GET /metrics). Labels stay bounded: no phone numbers or session IDs.
+const metrics = createMetrics();
+const M = {
+  activeSessions: metrics.gauge('bridge_active_sessions', 'Live bridge sessions', [], () => [{ labels: {}, value: sessions.size }]),
+  sessions: metrics.counter('bridge_sessions_total', 'Finished sessions by transport, mode and end reason', ['transport', 'mode', 'end_reason']),
+  elConnect: metrics.histogram('bridge_el_connect_seconds', 'ElevenLabs connect latency', ['via'], [0.1, 0.25, 0.5, 1, 2, 5, 10]),
+  setupPhases: metrics.histogram('bridge_setup_phase_seconds', 'WebSocket upgrade to each call setup phase', ['phase'], [0.05, 0.1, 0.25, 0.5, 1, 2, 5]),
+  elConnectFailures: metrics.counter('bridge_el_connect_failures_total', 'ElevenLabs connect failures', ['via']),
+  elReady: metrics.counter('bridge_el_ready_total', 'Conversations marked ready, by metadata or optimistic fallback', ['via']),
+  elReconnects: metrics.counter('bridge_el_reconnects_total', 'ElevenLabs reconnect attempts by outcome', ['outcome']),
+  firstAudio: metrics.histogram('bridge_time_to_first_agent_audio_seconds', 'Stream start to first agent audio', [], [0.5, 1, 2, 3, 5, 8, 13, 20]),
+  nudges: metrics.counter('bridge_nudges_total', 'Policy messages injected: first-message step, reprompt_N, turn_end', ['nudge']),
+  frames: metrics.counter('bridge_frames_total', '20 ms audio frames by direction', ['direction']),
+  turnEnds: metrics.counter('bridge_turn_ends_total', 'Caller turn ends by reason', ['reason']),
+  errors: metrics.counter('bridge_errors_total', 'Logged errors by category', ['category']),
+  refused: metrics.counter('bridge_calls_refused_total', 'Calls refused by admission limits', ['reason']),
+  dtmf: metrics.counter('bridge_dtmf_total', 'Keypad entries and key bindings by kind', ['kind'])
+};
+
+// "EL connect failed: ENOTFOUND" -> "el_connect_failed"; interpolated detail after : ( = is dropped
+function errorCategory(msg) {
+  return String(msg).split(/[:(=]/)[0].trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'unknown';
+}
 
-console.log(`[STARTUP] MeetMaggie Voice Bridge v2.3 starting...`);
-console.log(`[CONFIG] SILENCE_MS=${SILENCE_MS}, EL_BUFFER_MS=${EL_BUFFER_MS}, UTTER_MAX_MS=${UTTER_MAX_MS}`);
-console.log(`[CONFIG] EL_READY_FALLBACK_MS=${EL_READY_FALLBACK_MS}, FRAMES_PER_PACKET=${FRAMES_PER_PACKET}, LOOPBACK_ONLY=${LOOPBACK_ONLY}`);
+logger('STARTUP', `MeetMaggie Voice Bridge v2.3 starting...`);
+logger('CONFIG', `LOOPBACK_ONLY=${LOOPBACK_ONLY}`);
+logger('CONFIG', `PLAYOUT_LEAD_MS=${PLAYOUT_LEAD_MS}, PLAYOUT_MARK_EVERY=${PLAYOUT_MARK_EVERY}`);
+logger('CONFIG', `EL_RECONNECT_MAX=${EL_RECONNECT_MAX}, EL_RECONNECT_BASE_MS=${EL_RECONNECT_BASE_MS}, HOLD_AUDIO=${HOLD_AUDIO ? HOLD_AUDIO.length + 'B' : 'none'}`);
+logger('CONFIG', `TWILIO_WEBHOOKS=${!TWILIO_VALIDATE_SIGNATURE ? 'unsigned (validation OFF)' : TWILIO_AUTH_TOKEN ? 'signed' : 'disabled (no TWILIO_AUTH_TOKEN)'}`);
+logger('CONFIG', `ADMIN_API=${ADMIN_API_TOKEN ? 'enabled' : 'disabled'}`);
+logger('CONFIG', `RECORDING_REQUIRE_CONSENT=${RECORDING_REQUIRE_CONSENT}, STORE=${recordingStorage.kind}, RETENTION_DAYS=${RECORDING_RETENTION_DAYS}`);
+logger('CONFIG', `TOOLS=${tools.list().map(t => t.name).join(',')}, TWILIO_REST=${twilioRest ? twilioRest.kind : 'none'}`);
+logger('CONFIG', `SESSION_STORE=${store.kind}`);
+logger('CONFIG', `LIMITS=${JSON.stringify(limiter.stats())}, BUSY_AUDIO=${BUSY_AUDIO ? BUSY_AUDIO.length + 'B' : 'none'}, MAX_CALL_DURATION_MS=${MAX_CALL_DURATION_MS}`);
+logger('CONFIG', `PROFILES=${profiles.kind}, PROFILE_OVERRIDE_FIELDS=${profiles.overrideFields.join(',') || 'none'}`);
+logger('CONFIG', `TENANTS=${tenants.source} (${tenants.size} tenants, default ${tenants.fallback ? tenants.fallback.id : 'none'})`);
+for (const t of tenants.list()) {
+  logger('CONFIG', `TENANT ${t.id}: EL_KEY=${t.apiKey ? 'set' : 'missing'}, ROUTING=${t.routing.source} (${t.routing.routeCount} routes), POLICY=${t.policies.source}`);
+  logger('CONFIG', `TENANT ${t.id}: TUNING=${JSON.stringify(t.tuning)}, VAD=${JSON.stringify(t.vad)}`);
+  logger('CONFIG', `TENANT ${t.id}: AUTH=${t.tokenKeys.length ? `signed (keys: ${t.tokenKeys.map(k => k.kid).join(',')})` : t.staticToken ? 'static (legacy)' : 'none'}, FEATURES=${JSON.stringify(t.features)}, EL_URL_POOL_SIZE=${t.urlPool.size}`);
+  logger('CONFIG', `TENANT ${t.id}: CALL_WEBHOOKS=${t.webhooks ? `${t.webhooks.urls.length} url(s), outbox ${t.webhooks.outbox}` : 'disabled'}, TRANSFER_TARGETS=${Object.keys(t.transferTargets).join(',') || 'none'}`);
+}
 
 const server = http.createServer((req, res) => {
   const corsHeaders = {
@@ -49,13 +183,27 @@ const server = http.createServer((req, res) => {
     'Access-Control-Allow-Headers': 'Content-Type'
   };
   if (req.method === 'OPTIONS') { res.writeHead(200, corsHeaders); return res.end(); }
+  const { pathname, query } = url.parse(req.url, true);
+  if (req.method === 'POST' && pathname === '/twiml') return handleTwiml(req, res, query);
+  if (req.method === 'POST' && pathname === '/status-callback') return handleStatusCallback(req, res);
+  if (pathname === '/sessions' || pathname.startsWith('/sessions/')) return handleAdmin(req, res, pathname);
+  if (req.method === 'GET' && pathname === '/metrics') {
+    if (METRICS_TOKEN && req.headers.authorization !== `Bearer ${METRICS_TOKEN}`) return sendJson(res, 401, { error: 'unauthorized' });
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+    return res.end(metrics.render());
+  }
   if (req.url === '/health') {
-    res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+    res.writeHead(draining ? 503 : 200, { ...corsHeaders, 'Content-Type': 'application/json' });
     return res.end(JSON.stringify({
-      status: 'healthy',
+      status: draining ? 'draining' : 'healthy',
+      ready: !draining,
       service: 'MeetMaggie Voice Bridge v2.3',
       timestamp: new Date().toISOString(),
-      activeConnections: wss ? wss.clients.size : 0
+      activeConnections: wss ? wss.clients.size : 0,
+      activeSessions: sessions.size,
+      limits: limiter.stats(),
+      tenants: tenants.size,
+      signedUrlPool: tenants.poolStats()
     }));
   }
   if (req.url === '/' || req.url === '/status') {
@@ -70,79 +218,364 @@ const wss = new WebSocketServer({ noServer: true });
 
 server.on('upgrade', (req, socket, head) => {
   const { pathname, query } = url.parse(req.url, true);
-  console.log(`[WS] Upgrade request: ${pathname}`);
-  if (pathname !== '/ws' && pathname !== '/media-stream') {
-    console.warn('[WS] Invalid path attempted:', pathname);
+  logger('WS', `Upgrade request: ${pathname}`);
+  const transportKind = transportForPath(pathname);
+  if (!transportKind) {
+    logger.warn('WS', `Invalid path attempted: ${pathname}`);
     return socket.destroy();
   }
-  if (BRIDGE_AUTH_TOKEN && query && query.token && query.token !== BRIDGE_AUTH_TOKEN) {
-    console.warn('[WS] Rejected: bad token in URL query');
+  if (draining) {
+    logger.warn('WS', 'Rejected: draining');
+    socket.write('HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\n\r\n');
     return socket.destroy();
   }
+  // Transports carry the token in their start parameters; a query token is optional but must be valid if present
+  if (query && query.token) {
+    const picked = tenants.resolve({ tenantId: query.tenant, token: query.token });
+    const auth = !picked.ok ? picked : picked.tenant.authRequired ? checkStreamToken(picked.tenant, query.token) : { ok: true };
+    if (!auth.ok) {
+      logger.warn('WS', `Rejected: ${auth.reason} in URL query`);
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      return socket.destroy();
+    }
+  }
   req.__query = query || {};
+  req.__transport = transportKind;
   wss.handleUpgrade(req, socket, head, ws => {
-    console.log('[WS] Connection upgraded');
+    logger('WS', 'Connection upgraded', { transport: transportKind });
     wss.emit('connection', ws, req);
   });
 });
 
-wss.on('connection', (twilioWs, req) => {
-  attachBridgeHandlers(twilioWs, req.__query || {});
+// The tenant's signed-token keys when it has them, else its legacy static token
+function checkStreamToken(tenant, token) {
+  if (tenant.tokenKeys.length) return verifyStreamToken(token, tenant.tokenKeys);
+  if (!tenant.staticToken) return { ok: true, claims: null };
+  if (!token) return { ok: false, reason: 'missing-token' };
+  const a = Buffer.from(String(token)), b = Buffer.from(tenant.staticToken);
+  return a.length === b.length && crypto.timingSafeEqual(a, b) ? { ok: true, claims: null } : { ok: false, reason: 'bad-token' };
+}
+
+wss.on('connection', (ws, req) => {
+  attachBridgeHandlers(ws, req.__transport, req.__query || {});
 });
 
 setInterval(() => {
-  console.log(`[HEARTBEAT] Active connections: ${wss.clients.size} @ ${new Date().toISOString()}`);
+  logger('HEARTBEAT', `Active connections: ${wss.clients.size} @ ${new Date().toISOString()}`);
 }, 60_000);
 
-process.on('SIGTERM', () => {
-  console.log('[SHUTDOWN] Graceful shutdown');
-  try { server.close(() => process.exit(0)); } catch { process.exit(0); }
-});
+// Recording retention sweep: once at boot, then hourly
+const sweepRecordings = () => recordingStorage.sweep(RECORDING_RETENTION_DAYS)
+  .then(n => { if (n) logger('RECORDING', `Retention removed ${n} file(s) older than ${RECORDING_RETENTION_DAYS}d`); })
+  .catch(e => logger.error('RECORDING', `Retention sweep failed: ${e.message}`));
+sweepRecordings();
+setInterval(sweepRecordings, 60 * 60_000).unref();
+
+process.on('SIGTERM', () => startDrain('SIGTERM'));
+process.on('SIGINT', () => startDrain('SIGINT'));
+
+// Required as a module (scripts/harness) the caller decides where to listen
+if (require.main === module) {
+  server.listen(PORT, () => {
+    logger('STARTUP', `Listening on :${PORT}`);
+    logger('STARTUP', `WebSocket endpoints: ${Object.entries(TRANSPORT_PATHS).map(([p, kind]) => `${p} (${kind})`).join(', ')}`);
+  });
+}
 
-server.listen(PORT, () => {
-  console.log(`[STARTUP] Listening on :${PORT}`);
-  console.log(`[STARTUP] WebSocket endpoint: /ws`);
-});
+module.exports = { server };
+
+// ================== Drain (SIGTERM) ==================
+// Not-ready on /health and no new upgrades; live calls get DRAIN_GRACE_MS to end on their own
+// (optionally after the agent is asked to wrap up), then the rest are hung up and the process
+// exits once their final writes have landed. A second signal exits immediately.
+
+let draining = false;
+
+function startDrain(signal) {
+  if (draining) { logger.warn('SHUTDOWN', `${signal} during drain; exiting now`, { sessions: sessions.size }); process.exit(1); }
+  draining = true;
+  const deadline = Date.now() + DRAIN_GRACE_MS;
+  logger('SHUTDOWN', `${signal}: draining`, { sessions: sessions.size, graceMs: DRAIN_GRACE_MS, wrapUp: DRAIN_WRAP_UP });
+  // Keep listening so /health can report not-ready; upgrades are refused while draining
+  if (DRAIN_WRAP_UP) {
+    for (const s of sessions.list()) s.inject({ type: 'contextual_update', text: DRAIN_WRAP_UP_TEXT, source: 'bridge:drain' });
+  }
+
+  const check = setInterval(() => {
+    if (sessions.size && Date.now() < deadline) return;
+    clearInterval(check);
+    finishDrain().catch(e => logger.error('SHUTDOWN', `Drain failed: ${e.message}`)).finally(() => process.exit(0));
+  }, 250);
+}
+
+async function finishDrain() {
+  if (sessions.size) logger('SHUTDOWN', 'Grace period over; hanging up', { sessions: sessions.size });
+  for (const s of sessions.list()) s.hangup('server-draining');
+  const flushDeadline = Date.now() + DRAIN_FLUSH_TIMEOUT_MS;
+  while (sessions.size && Date.now() < flushDeadline) await sleep(100); // close handshakes queue the final writes
+  await Promise.race([Promise.allSettled([...pendingWrites]), sleep(Math.max(0, flushDeadline - Date.now()))]);
+  logger('SHUTDOWN', 'Drained', { abandonedSessions: sessions.size, pendingWrites: pendingWrites.size });
+  server.close();
+}
+
+// ================== Twilio webhooks ==================
+
+// Reads a form-encoded Twilio webhook and checks X-Twilio-Signature; answers 403/503 itself on failure
+async function readTwilioWebhook(req, res) {
+  let body;
+  try { body = await readBody(req, 64 * 1024); }
+  catch (e) { res.writeHead(413, { 'Content-Type': 'text/plain' }); res.end('Payload too large'); return null; }
+  const params = Object.fromEntries(new URLSearchParams(body));
+  if (TWILIO_VALIDATE_SIGNATURE) {
+    if (!TWILIO_AUTH_TOKEN) {
+      logger.warn('WEBHOOK', 'Rejected: TWILIO_AUTH_TOKEN not set');
+      res.writeHead(503, { 'Content-Type': 'text/plain' }); res.end('Webhooks not configured'); return null;
+    }
+    const fullUrl = publicUrl(req, PUBLIC_BASE_URL);
+    if (!validateSignature(TWILIO_AUTH_TOKEN, fullUrl, params, req.headers['x-twilio-signature'])) {
+      logger.warn('WEBHOOK', `Rejected: bad X-Twilio-Signature for ${fullUrl}`);
+      res.writeHead(403, { 'Content-Type': 'text/plain' }); res.end('Forbidden'); return null;
+    }
+  }
+  return params;
+}
+
+// Inbound and outbound calls: answer with <Connect><Stream> to /media-stream; ?tenant= picks the tenant
+async function handleTwiml(req, res, query) {
+  const params = await readTwilioWebhook(req, res);
+  if (!params) return;
+  const inbound = !String(params.Direction || 'inbound').startsWith('outbound');
+  const mode = String(query.mode || params.mode || 'discovery').toLowerCase();
+  const base = publicBaseUrl(req, PUBLIC_BASE_URL);
+  const tenant = query.tenant ? tenants.get(String(query.tenant)) : tenants.fallback;
+  if (!tenant) {
+    logger.warn('WEBHOOK', 'Rejected: unknown tenant');
+    res.writeHead(404, { 'Content-Type': 'text/plain' }); return res.end('Unknown tenant');
+  }
+
+  let token = tenant.staticToken;
+  if (tenant.tokenKeys.length) {
+    try { token = mintStreamToken({ callSid: params.CallSid, mode, tenant: query.tenant ? tenant.id : undefined }, tenant.tokenKeys); }
+    catch (e) {
+      logger.error('WEBHOOK', `Token mint failed: ${e.message}`);
+      res.writeHead(400, { 'Content-Type': 'text/plain' }); return res.end('Missing CallSid');
+    }
+  }
+
+  const twiml = buildStreamTwiml({
+    streamUrl: base.replace(/^http/, 'ws') + '/media-stream',
+    statusCallback: base + '/status-callback',
+    parameters: {
+      mode,
+      tenant: query.tenant ? tenant.id : undefined,
+      token,
+      direction: inbound ? 'inbound' : 'outbound',
+      caller_phone: inbound ? params.From : params.To,
+      to: inbound ? params.To : params.From,
+      profile_b64: query.profile_b64 || params.profile_b64
+    }
+  });
+  logger('WEBHOOK', `TwiML for ${params.CallSid} (${inbound ? 'inbound' : 'outbound'}, mode=${mode}, tenant=${tenant.id})`);
+  res.writeHead(200, { 'Content-Type': 'text/xml' });
+  res.end(twiml);
+}
+
+// Call status (CallStatus) and stream status (StreamEvent) callbacks
+async function handleStatusCallback(req, res) {
+  const params = await readTwilioWebhook(req, res);
+  if (!params) return;
+  const callSid = params.CallSid || null;
+  const sessionId = (callSid && callSessions.get(callSid)) || null;
+  const status = params.StreamEvent || params.CallStatus || 'unknown';
+  logger('WEBHOOK', `Status ${status} for ${callSid}`, { sessionId, duration: params.CallDuration });
+  store.saveCallEvent({ call_sid: callSid, session_id: sessionId, status, payload: params, created_at: new Date().toISOString() })
+    .catch(e => logger.error('WEBHOOK', `Store saveCallEvent failed: ${e.message}`));
+  res.writeHead(204);
+  res.end();
+}
+
+// ================== Admin API ==================
+
+function adminAuthorized(req) {
+  if (!ADMIN_API_TOKEN) return false;
+  const m = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!m) return false;
+  const a = Buffer.from(m[1].trim()), b = Buffer.from(ADMIN_API_TOKEN);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// GET /sessions (with per-agent admission counts), GET /sessions/:id, POST /sessions/:id/hangup, POST /sessions/:id/message
+async function handleAdmin(req, res, pathname) {
+  if (!ADMIN_API_TOKEN) return sendJson(res, 404, { error: 'not_found' });
+  if (!adminAuthorized(req)) return sendJson(res, 401, { error: 'unauthorized' });
+
+  const [, , id, action] = pathname.split('/');
+  if (!id) {
+    if (req.method !== 'GET') return sendJson(res, 405, { error: 'method_not_allowed' });
+    return sendJson(res, 200, { sessions: sessions.list().map(s => s.snapshot()), limits: limiter.stats({ perAgent: true }) });
+  }
+  const session = sessions.get(id);
+  if (!session) return sendJson(res, 404, { error: 'session_not_found' });
+
+  if (!action && req.method === 'GET') return sendJson(res, 200, session.snapshot({ transcripts: true }));
+
+  if (action === 'hangup' && req.method === 'POST') {
+    session.hangup('admin-hangup');
+    logger('ADMIN', `Hangup ${id}`);
+    return sendJson(res, 200, { ok: true });
+  }
+
+  if (action === 'message' && req.method === 'POST') {
+    let body;
+    try { body = JSON.parse((await readBody(req, 16 * 1024)) || '{}'); }
+    catch { return sendJson(res, 400, { error: 'invalid_json' }); }
+    const type = body.type || 'user_message';
+    if (type !== 'user_message' && type !== 'contextual_update') return sendJson(res, 400, { error: 'bad_type' });
+    if (typeof body.text !== 'string' || !body.text.trim()) return sendJson(res, 400, { error: 'text_required' });
+    if (!session.inject({ type, text: body.text })) return sendJson(res, 409, { error: 'agent_not_connected' });
+    logger('ADMIN', `Injected ${type} into ${id}`);
+    return sendJson(res, 200, { ok: true });
+  }
+
+  return sendJson(res, 405, { error: 'method_not_allowed' });
+}
 
 // ================== Core Bridge ==================
 
-function attachBridgeHandlers(twilioWs, query = {}) {
+function attachBridgeHandlers(ws, transportKind, query = {}) {
   const sessionId = generateSessionId();
   const startedAt = Date.now();
-  let twilioStreamSid = null;
+  let streamSid = null, callSid = null;
   let agentId = null, mode = 'discovery', phone = '';
-  let authed = !BRIDGE_AUTH_TOKEN;
+  let routeName = null, routeVars = {};
+  let recorder = null, recordingObjectPath = null;
+  let callSpan = null, firstAudioSpan = null, turnSpan = null; // OpenTelemetry (lib/tracing.js)
+  let tenant = null; // lib/tenants.js, set on 'start'; every key, agent and tunable below comes from it
+  let authed = false;
+  let admitted = false, releaseAdmission = null; // lib/limits.js
+  let maxDurationTimer = null, wrapUpTimer = null;
 
   // EL state
   let elWs = null, elOpen = false, elReady = false, conversationStarted = false;
+  let elAttached = false; // any socket attached yet; the first one starts the conversation, later ones resume it
   let elInFormat = null, elOutFormat = null;
+  let inConv = null, outConv = null; // codec state, rebuilt from each metadata event
   let mdTimer = null; // metadata fallback timer
 
   // Audio/VAD state
-  let seq = 0, chunk = 0, tsMs = 0;
   let elBuffer = [];
   let elBufferedFrames = 0;
   let totalFramesSent = 0;
   let totalAudioReceived = 0;
   let speaking = false;
-  let silenceTimer = null;
+  let vad = createVad();
+  let bufferFrames = 10; // EL_BUFFER_MS in 20 ms frames, from the tenant's tuning
   let utterCapTimer = null;
   let firstUserInput = true;
   let elHasSpoken = false;
   let userHasSpoken = false;
   let lastAgentAudioTime = 0;
 
-  // Nudges
-  let nudge1 = null, nudge2 = null, nudge3 = null;
+  // Conversation policy (lib/policy.js), resolved again once mode/agent are known
+  let policy = BASE_POLICY;
+  let firstMessageTimers = [];
+  let repromptStep = 0, lastCallerActivity = 0, lastRepromptAt = 0;
+  let repromptInterval = null;
+  const injectedTexts = []; // recent injected user_messages, in case EL echoes one as a user transcript
+  let keypad = null; // lib/dtmf.js, built from policy.dtmf on start
+  let repeatBuffer = [], repeatBytes = 0, repeatFresh = true; // last agent utterance, for the "repeat" key
+
+  // Reconnect supervisor; attempts count until a resumed conversation sends agent audio
+  let sessionClosed = false;
+  let reconnectTimer = null, reconnectAttempts = 0;
+  let holdPlaying = false;
+  const recentTurns = []; // last EL_RECAP_TURNS transcript turns, for resume recap
+
+  // Call record (call.completed webhook)
+  const transcript = []; // every turn, in order
+  let nudgeCount = 0, firstAudioAt = 0;
+  const elConversationIds = [];
+
+  // Setup timing: ms since upgrade per phase of the first EL connect (+ how the URL was obtained)
+  const setup = { early: false, signedUrl: null, signedUrlFetchMs: null, connectMs: null };
+  const markSetup = (phase) => {
+    if (setup[phase] != null) return;
+    setup[phase] = Date.now() - startedAt;
+    M.setupPhases.observe({ phase }, setup[phase] / 1000);
+  };
+  let early = null; // { tenant, agentId, socket } opened from the upgrade query, claimed by connectToElevenLabs
+
+  // Correlation fields (streamSid, callSid, agentId) are added once 'start' arrives
+  const slog = logger.child({ sessionId }, { since: startedAt });
+  const log = (cat, msg, data) => {
+    if (cat === 'ERROR') M.errors.inc({ category: errorCategory(msg) });
+    slog(cat, msg, data);
+  };
+  log.debug = slog.debug;
+
+  // Caller protocol (lib/transports); everything below works on 20 ms μ-law 8k frames
+  const transport = createTransport(transportKind, ws, {
+    log,
+    logFramesEvery: LOG_FRAMES_EVERY,
+    handlers: { onStart: handleStart, onAudio: handleAudio, onMark: handleMark, onDtmf: handleDtmf, onStop: handleStop, onClose: handleClose, onError: handleError }
+  });
+
+  // First reason wins; reported on close
+  let endReason = null;
+  const endWith = (reason) => { if (!endReason) endReason = reason; };
+
+  // Tenant scoping for stored rows and profile lookups; null single-tenant so legacy tables need no tenant column
+  const tenantColumn = () => (tenant && tenants.source !== 'env' ? tenant.id : null);
+  let streamStartedAt = 0;
+
+  // Sockets that never send an authenticated 'start' are closed
+  const startTimer = setTimeout(() => {
+    log('ERROR', 'No authenticated start received', { AUTH_START_TIMEOUT_MS });
+    endWith('start_timeout');
+    transport.close(1008, 'start-timeout');
+  }, AUTH_START_TIMEOUT_MS);
+
+  connectEarly();
+
+  // Persistence: queued per session, never awaited on the audio path
+  const writer = createSessionWriter(store, sessionId, (label, e) => log('ERROR', `Store ${label} failed`, { error: e.message }));
+  let callPersisted = false;
 
-  const log = (cat, msg, data = {}) => {
-    const t = Date.now() - startedAt;
-    console.log(`[${cat}:${sessionId}:${t}ms] ${msg}`, data);
+  // Persisted turn + call-record transcript; source tags bridge-injected text
+  const recordTurn = (role, text, source = null) => {
+    if (!text) return;
+    writer.appendTurn(role, text, source);
+    if (transcript.length < MAX_RECORD_TURNS) transcript.push(source ? { role, text, source, at: new Date().toISOString() } : { role, text, at: new Date().toISOString() });
   };
 
+  const rememberTurn = (role, text) => {
+    if (!text) return;
+    recentTurns.push({ role, text });
+    if (recentTurns.length > EL_RECAP_TURNS) recentTurns.shift();
+  };
+
+  // All bridge-generated messages go through here so the transcript tags them as injected
+  const sendInjected = (send, text, source) => {
+    if (!elWs || !elOpen) return false;
+    const payload = send === 'conversation_start' ? { type: 'conversation_start' }
+      : send === 'contextual_update' ? { type: 'contextual_update', text }
+      : { type: 'user_message', user_message: { message: text } };
+    try { elWs.send(JSON.stringify(payload)); } catch (e) { log('ERROR', 'Inject failed', { error: e.message }); return false; }
+    log('EL_SEND', `Injected ${send}`, { source, chars: text ? text.length : 0 });
+    if (text) recordTurn('injected', text, source);
+    if (send === 'user_message') {
+      injectedTexts.push(text);
+      if (injectedTexts.length > 10) injectedTexts.shift();
+    }
+    return true;
+  };
+
+  const endTurnSpan = (attrs) => { if (turnSpan) { turnSpan.end(attrs); turnSpan = null; } };
+
   const resetUtterance = () => {
+    endTurnSpan({ 'turn.end_reason': 'reset' });
     speaking = false;
-    clearTimeout(silenceTimer);
+    vad.resetSpeech();
     clearTimeout(utterCapTimer);
   };
 
@@ -160,18 +593,16 @@ function attachBridgeHandlers(twilioWs, query = {}) {
     try {
       for (let o = 0; o < merged.length; o += 160) {
         const slice = merged.subarray(o, Math.min(o + 160, merged.length));
-        elWs.send(JSON.stringify({ user_audio_chunk: slice.toString('base64') }));
+        const payload = inConv ? inConv.push(slice) : slice; // raw μ-law until metadata names a format
+        elWs.send(JSON.stringify({ user_audio_chunk: payload.toString('base64') }));
       }
       totalFramesSent += elBufferedFrames;
-      log('EL_SEND', `Audio -> EL`, { label, durationMs, frames: elBufferedFrames, bytes: merged.length, totalFramesSent });
+      M.frames.inc({ direction: 'to_agent' }, elBufferedFrames);
+      log.debug('EL_SEND', `Audio -> EL`, { label, durationMs, frames: elBufferedFrames, bytes: merged.length, totalFramesSent });
 
+      // The policy decides whether the caller's first words also kick off the conversation
       if (firstUserInput && conversationStarted && elBufferedFrames > 5) {
-        setTimeout(() => {
-          if (elWs && elOpen) {
-            try { elWs.send(JSON.stringify({ type: "conversation_start" })); } catch {}
-            log('EL_SEND', 'conversation_start nudged');
-          }
-        }, 100);
+        if (policy.firstMessage.startOnCallerInput) setTimeout(() => sendInjected('conversation_start', null, 'policy:caller_input'), 100);
         firstUserInput = false;
       }
     } catch (e) {
@@ -182,191 +613,494 @@ function attachBridgeHandlers(twilioWs, query = {}) {
     elBufferedFrames = 0;
   };
 
+  // Outbound pacing toward the caller; marks echo back what the caller has heard
+  const playout = createPlayout({
+    sendMedia: sendAudioToCaller,
+    sendMark: name => transport.sendMark(name),
+    sendClear: () => transport.sendClear(),
+    supportsMarks: () => transport.supportsMarks,
+    leadMs: PLAYOUT_LEAD_MS,
+    markEvery: PLAYOUT_MARK_EVERY
+  });
+
   const flushInterval = setInterval(() => {
-    if (elBufferedFrames >= Math.max(1, Math.round(EL_BUFFER_MS / 20))) {
+    if (elBufferedFrames >= bufferFrames) {
       flushElBuffer('periodic');
     }
   }, 50);
 
   const cleanup = () => {
     log('SESSION', 'Cleanup');
+    sessionClosed = true;
+    clearTimeout(startTimer);
+    clearTimeout(reconnectTimer);
     clearInterval(flushInterval);
-    clearTimeout(silenceTimer);
+    playout.stop();
     clearTimeout(utterCapTimer);
-    clearTimeout(nudge1);
-    clearTimeout(nudge2);
-    clearTimeout(nudge3);
+    firstMessageTimers.forEach(clearTimeout);
+    clearInterval(repromptInterval);
     clearTimeout(mdTimer);
+    clearTimeout(maxDurationTimer);
+    clearTimeout(wrapUpTimer);
+    if (keypad) keypad.stop();
+    discardEarly('session closed');
     if (elWs) { try { elWs.close(1000); } catch {} }
   };
 
-  twilioWs.on('close', (code, reason) => {
+  // Handle for the session registry / admin API
+  sessions.add({
+    id: sessionId,
+    snapshot({ transcripts = false } = {}) {
+      const snap = {
+        sessionId, callSid, streamSid, transport: transport.kind, tenant: tenant ? tenant.id : null,
+        mode, phone, agentId, route: routeName,
+        startedAt: new Date(startedAt).toISOString(),
+        durationMs: Date.now() - startedAt,
+        authed, elOpen, elReady, elHasSpoken, userHasSpoken, speaking,
+        totalAudioReceived, totalFramesSent,
+        reconnectAttempts,
+        playout: playout.stats()
+      };
+      if (transcripts) snap.lastTranscripts = recentTurns.slice();
+      return snap;
+    },
+    hangup,
+    inject({ type, text, source = 'supervisor' }) {
+      return sendInjected(type, text, source);
+    }
+  });
+
+  function handleClose(code, reason) {
+    sessions.remove(sessionId);
+    if (releaseAdmission) releaseAdmission();
+    M.sessions.inc({ transport: transport.kind, mode: tenant && tenant.routing.knownMode(mode) ? mode : 'other', end_reason: endReason || `${transport.kind}_close` });
+    endTurnSpan({ 'turn.end_reason': 'call_ended' });
+    if (firstAudioSpan) firstAudioSpan.end({ 'agent.spoke': false });
+    if (callSpan) callSpan.end({ 'bridge.end_reason': endReason || `${transport.kind}_close`, 'bridge.user_has_spoken': userHasSpoken });
     const dur = Date.now() - startedAt;
-    log('TWILIO', 'Closed', { code, reason: reason?.toString(), durMs: dur, totalAudioReceived, totalFramesSent, userHasSpoken });
+    const playoutStats = playout.stats();
+    log(transport.category, 'Closed', { code, reason, durMs: dur, totalAudioReceived, totalFramesSent, userHasSpoken });
+    log('PLAYOUT', 'Stats', playoutStats);
     cleanup();
-  });
+    if (callSid) {
+      const sid = callSid;
+      setTimeout(() => { if (callSessions.get(sid) === sessionId) callSessions.delete(sid); }, CALL_SESSION_TTL_MS).unref();
+    }
+    const recordingSaved = recorder ? finishRecording() : null;
+    if (callPersisted) {
+      writer.saveCall({
+        ended_at: new Date().toISOString(),
+        duration_ms: dur,
+        total_audio_received: totalAudioReceived,
+        total_frames_sent: totalFramesSent,
+        user_has_spoken: userHasSpoken,
+        playout: playoutStats,
+        end_reason: endReason || `${transport.kind}_close`,
+        el_conversation_id: elConversationIds[0] || null
+      });
+    }
+    // The call.completed record goes only to the tenant the call authenticated against; a failed
+    // auth names a tenant it has not proven, so nobody gets that call's record
+    const delivered = tenant && tenant.webhooks && streamSid && tenant.features.callWebhooks
+      ? tenant.webhooks.enqueue('call.completed', buildCallRecord(dur)) : null;
+    const done = Promise.all([Promise.resolve(recordingSaved).then(() => writer.flush()), delivered]);
+    pendingWrites.add(done);
+    done.finally(() => pendingWrites.delete(done));
+  }
 
-  twilioWs.on('error', (err) => { log('ERROR', 'Twilio WS error', { error: err.message }); cleanup(); });
+  function buildCallRecord(durationMs) {
+    const countTurns = role => transcript.filter(t => t.role === role).length;
+    return {
+      session_id: sessionId,
+      call_sid: callSid,
+      stream_sid: streamSid,
+      transport: transport.kind,
+      tenant: tenant ? tenant.id : null,
+      mode, phone, agent_id: agentId, route: routeName,
+      started_at: new Date(startedAt).toISOString(),
+      ended_at: new Date().toISOString(),
+      duration_ms: durationMs,
+      end_reason: endReason || `${transport.kind}_close`,
+      authed,
+      turn_count: { user: countTurns('user'), agent: countTurns('agent'), injected: countTurns('injected') },
+      time_to_first_audio_ms: firstAudioAt && streamStartedAt ? firstAudioAt - streamStartedAt : null,
+      setup_ms: { ...setup },
+      nudge_count: nudgeCount,
+      el_conversation_id: elConversationIds[0] || null,
+      el_conversation_ids: elConversationIds.slice(),
+      user_has_spoken: userHasSpoken,
+      recording_path: recordingObjectPath,
+      transcript: transcript.slice()
+    };
+  }
 
-  twilioWs.on('message', (buf) => {
-    let msg; try { msg = JSON.parse(buf.toString()); } catch { log('ERROR','Invalid JSON from Twilio'); return; }
-    const event = msg?.event;
-    if (event !== 'mark') {
-      log('TWILIO_RAW', `Event: ${event}`, {
-        hasPayload: !!(msg?.media?.payload),
-        streamSid: msg?.streamSid || msg?.start?.streamSid,
-        payloadLength: msg?.media?.payload?.length || 0
-      });
+  function hangup(reason) {
+    if (sessionClosed) return;
+    log('SESSION', `Hangup requested (${reason})`);
+    endWith(reason.replace(/-/g, '_'));
+    flushElBuffer('hangup');
+    if (elWs && elOpen) { try { elWs.send(JSON.stringify({ type: "user_audio_end" })); } catch {} }
+    cleanup();
+    transport.close(1000, reason);
+  }
+
+  function refuseCall(reason) {
+    const closeReason = reason.replace(/_/g, '-');
+    if (!BUSY_AUDIO) { hangup(closeReason); return; }
+    playout.enqueue(BUSY_AUDIO);
+    hangupAfterPlayout(closeReason, Math.round(BUSY_AUDIO.length / 8) + 1000);
+  }
+
+  // Ask the agent to wrap up MAX_CALL_WRAP_UP_MS before the limit; at the limit, end after playout
+  function startMaxDuration() {
+    const wrapUpAt = MAX_CALL_DURATION_MS - MAX_CALL_WRAP_UP_MS;
+    if (MAX_CALL_WRAP_UP_MS > 0 && wrapUpAt > 0) {
+      wrapUpTimer = setTimeout(() => sendInjected('contextual_update', MAX_CALL_WRAP_UP_TEXT, 'bridge:max_duration'), wrapUpAt);
     }
+    maxDurationTimer = setTimeout(() => {
+      log('SESSION', 'Max call duration reached', { MAX_CALL_DURATION_MS });
+      endWith('max_duration');
+      hangupAfterPlayout('max-duration', 5000);
+    }, MAX_CALL_DURATION_MS);
+  }
 
-    if (event === 'connected') return;
-
-    if (event === 'start') {
-      const start = msg.start || {};
-      twilioStreamSid = msg.streamSid || start.streamSid || null;
-      const cp = start.customParameters || {};
-      const token = cp.token;
-      mode = (cp.mode || 'discovery').toLowerCase();
-      agentId = cp.agent_id || (mode === 'daily' ? DAILY_ID : DISCOVERY_ID);
-      phone = cp.caller_phone || start.from || cp.from || '';
-
-      // --- NEW: parse profile_b64 into JSON (safe, metadata only)
-      const profile_b64 = cp.profile_b64 || '';
-      let profile_json = null;
-      if (profile_b64 && typeof profile_b64 === 'string') {
-        try {
-          profile_json = JSON.parse(Buffer.from(profile_b64, 'base64').toString('utf8'));
-        } catch (e) {
-          log('WARN', 'profile_b64 parse failed', { error: e.message });
-        }
-      }
+  // Let queued agent audio finish playing (bounded), then hang up
+  function hangupAfterPlayout(reason, maxWaitMs = 10_000) {
+    const deadline = Date.now() + maxWaitMs;
+    const check = () => {
+      if (sessionClosed) return;
+      const drained = !playout.queuedFrames && Date.now() >= playout.playingUntil;
+      if (drained || Date.now() >= deadline) return hangup(reason);
+      setTimeout(check, 100);
+    };
+    setTimeout(check, 100);
+  }
 
-      if (BRIDGE_AUTH_TOKEN) {
-        if (token && token === BRIDGE_AUTH_TOKEN) { authed = true; }
-        else { log('ERROR', 'Bad/missing token in customParameters'); try { twilioWs.close(1008, 'bad-token'); } catch {} return; }
-      }
+  // Client tools requested by the agent
+  const toolCtx = {
+    get callSid() { return transport.kind === 'twilio' ? callSid : null; }, // transfers go through Twilio REST
+    twilio: twilioRest,
+    get transferTargets() { return tenant ? tenant.transferTargets : {}; }, // this tenant's numbers only
+    endCall: reason => {
+      log('SESSION', 'Agent ended call', { reason: String(reason).slice(0, 200) });
+      endWith('agent_end_call');
+      hangupAfterPlayout('agent-end-call');
+    },
+    saveNote: text => recordTurn('note', text)
+  };
 
-      log('TWILIO', 'Stream started', {
-        streamSid: twilioStreamSid,
-        agentId: agentId ? agentId.slice(0,8)+'...' : 'missing',
-        phone, mode, authed,
-        hasProfile: !!profile_json
-      });
+  async function handleToolCall(call) {
+    log('EL_RECV', `Tool call ${call?.tool_name}`, { id: call?.tool_call_id });
+    const started = Date.now();
+    const reply = await tools.run(call, toolCtx);
+    log(reply.is_error ? 'ERROR' : 'EL_SEND', reply.is_error ? 'Tool call failed' : 'Tool call result', { tool: call?.tool_name, id: reply.tool_call_id, ms: Date.now() - started, result: reply.result.slice(0, 200) });
+    if (elWs && elOpen) { try { elWs.send(JSON.stringify(reply)); } catch (e) { log('ERROR', 'Tool result send failed', { error: e.message }); } }
+  }
 
-      // Reset session state
-      seq = 0; chunk = 0; tsMs = 0;
-      elBuffer = []; elBufferedFrames = 0; totalFramesSent = 0; totalAudioReceived = 0;
-      elOpen = false; elReady = false; elHasSpoken = false; userHasSpoken = false;
-      conversationStarted = false; firstUserInput = true; lastAgentAudioTime = 0;
-      resetUtterance();
+  function finishRecording() {
+    let rec;
+    try { rec = recorder.close(); } catch (e) { log('ERROR', `Recording close failed: ${e.message}`); }
+    recorder = null;
+    if (!rec) return null;
+    return recordingStorage.save(rec.filePath, recordingObjectPath)
+      .then(location => {
+        log('RECORDING', 'Saved', { location, durationMs: rec.durationMs, bytes: rec.bytes });
+        if (callPersisted) writer.saveCall({ recording_path: location });
+      })
+      .catch(e => log('ERROR', `Recording save failed: ${e.message}`));
+  }
 
-      if (LOOPBACK_ONLY) { log('MODE','Loopback mode – no EL connection'); return; }
-      if (!ELEVENLABS_API_KEY) { log('ERROR','ELEVENLABS_API_KEY not set'); return; }
-      if (!agentId) { log('ERROR', `No agent ID for mode=${mode}`); return; }
+  function handleError(err) {
+    endWith(`${transport.kind}_error`);
+    log('ERROR', `${transport.category} WS error`, { error: err.message });
+    cleanup();
+  }
 
-      connectToElevenLabs(agentId, phone, sessionId, profile_json);
+  function handleStart(start) {
+    // One call per socket: a second start would take another admission slot and EL conversation
+    if (authed) { log('WARN', 'Repeated start ignored'); return; }
+    streamSid = start.streamSid;
+    callSid = start.callSid;
+    slog.set({ streamSid, callSid });
+    const cp = start.params;
+    mode = (cp.mode || 'discovery').toLowerCase();
+    phone = cp.caller_phone || start.from || cp.from || '';
+
+    // Tenant: customParameters.tenant, else the signed token's key id, else the default tenant.
+    // Auth is checked against that tenant's keys only.
+    const picked = tenants.resolve({ tenantId: cp.tenant, token: cp.token });
+    let claims = null;
+    let reason = picked.ok ? null : picked.reason;
+    if (picked.ok && picked.tenant.authRequired) {
+      const auth = checkStreamToken(picked.tenant, cp.token);
+      reason = !auth.ok ? auth.reason
+        : auth.claims ? checkBinding(auth.claims, { callSid, mode, agentId: cp.agent_id || null, tenant: picked.tenant.id }) : null;
+      claims = auth.claims || null;
+    }
+    if (reason) {
+      endWith('auth_failed');
+      log('ERROR', `Auth rejected: ${reason}`);
+      transport.close(1008, reason);
       return;
     }
+    tenant = picked.tenant;
+    authed = true;
+    slog.set({ tenant: tenant.id });
+    clearTimeout(startTimer);
+    streamStartedAt = Date.now();
+    markSetup('start');
+    callSpan = tracing.startSpan('bridge.call', { 'bridge.session_id': sessionId, 'bridge.transport': transport.kind, 'twilio.call_sid': callSid, 'twilio.stream_sid': streamSid, 'bridge.mode': mode });
+    firstAudioSpan = tracing.startSpan('call.first_audio', {}, callSpan);
+    if (callSid) callSessions.set(callSid, sessionId);
+
+    // A signed agent claim is trusted as-is; anything else goes through routing + allow-list
+    const routed = tenant.routing.resolve({ mode, to: cp.to || cp.called || start.to || '', from: phone, requestedAgentId: claims?.agent ? null : cp.agent_id || null });
+    agentId = claims?.agent || (routed ? routed.agentId : null);
+    routeName = routed ? routed.route : null;
+    routeVars = routed ? routed.dynamicVariables : {};
+    slog.set({ agentId });
+    policy = tenant.policies.resolve({ mode, agentId });
+
+    // Admission: over a limit the caller hears BUSY_AUDIO (if set) and the call closes without EL.
+    // An early connect's reserved slot is handed back first so admission counts this call once.
+    if (early) early.release();
+    const admission = limiter.admit({ agentId, phone });
+    if (!admission.ok) {
+      discardEarly('call refused');
+      endWith(admission.reason);
+      M.refused.inc({ reason: admission.reason });
+      log('WARN', `Call refused: ${admission.reason}`, admission.retryAfterMs ? { retryAfterMs: admission.retryAfterMs } : undefined);
+      refuseCall(admission.reason);
+      return;
+    }
+    admitted = true;
+    releaseAdmission = admission.release;
+    if (MAX_CALL_DURATION_MS > 0) startMaxDuration();
+
+    // Caller profile (lib/profiles.js): looked up in parallel with the EL connect, never rejects
+    const profileReady = profiles.resolve({ phone, profileB64: cp.profile_b64, tenant: tenantColumn() }).then(r => {
+      if (r.error) log('WARN', 'Profile lookup incomplete', { error: r.error });
+      log('PROFILE', 'Resolved', { source: r.source, fields: r.profile ? Object.keys(r.profile) : [] });
+      return r.profile;
+    });
+
+    // Recording: customParameters.record overrides the tenant's recording feature; consent is checked first
+    const wantRecording = cp.record !== undefined ? isTruthy(cp.record) : tenant.features.recording;
+    if (wantRecording) {
+      if (RECORDING_REQUIRE_CONSENT && !isTruthy(cp.recording_consent)) {
+        log('RECORDING', 'Skipped: no recording_consent');
+      } else {
+        recordingObjectPath = objectPathFor(sessionId);
+        try {
+          recorder = createCallRecorder({ filePath: path.join(recordingStorage.dir, recordingObjectPath), log });
+          log('RECORDING', 'Started', { path: recordingObjectPath });
+        } catch (e) { log('ERROR', `Recording start failed: ${e.message}`); }
+      }
+    }
 
-    if (event === 'media') {
-      const track = msg?.media?.track;
-      if (track && track !== 'inbound') return;
-      const muLawB64 = msg?.media?.payload;
-      if (!muLawB64) { log('ERROR','Media missing payload'); return; }
-      if (!authed) return;
+    log(transport.category, 'Stream started', {
+      streamSid,
+      agentId: agentId ? agentId.slice(0,8)+'...' : 'missing',
+      route: routeName,
+      tenant: tenant.id,
+      phone, mode, authed,
+      recording: !!recorder,
+      firstMessage: policy.firstMessage.strategy,
+      reprompts: policy.reprompt.length
+    });
 
-      totalAudioReceived++;
+    callPersisted = true;
+    writer.saveCall({
+      stream_sid: streamSid,
+      call_sid: callSid,
+      phone, mode,
+      agent_id: agentId,
+      ...(tenantColumn() ? { tenant: tenantColumn() } : {}),
+      started_at: new Date(startedAt).toISOString()
+    });
 
-      const now = Date.now();
-      const sinceAgent = now - (lastAgentAudioTime || 0);
-      if (!speaking && (sinceAgent > 500 || !elHasSpoken || !elOpen)) {
-        speaking = true; userHasSpoken = true;
-        log('VAD', 'User started speaking', { totalFrames: totalAudioReceived, sinceAgent, elHasSpoken, elOpen });
+    // Per-call VAD tuning via customParameters (vad_margin_db, vad_hangover_ms, ...)
+    vad = createVad(vadOptionsFromParams(cp, tenant.vad));
+    bufferFrames = Math.max(1, Math.round(tenant.tuning.elBufferMs / 20));
 
-        if (elWs && elOpen) {
-          try { elWs.send(JSON.stringify({ type: "user_audio_start" })); log('EL_SEND','user_audio_start'); }
-          catch (e) { log('ERROR','user_audio_start failed',{ error:e.message }); }
-        }
-        clearTimeout(utterCapTimer);
-        utterCapTimer = setTimeout(() => { log('VAD','Hard cap -> end'); endUserTurn('hard_cap'); }, UTTER_MAX_MS);
-      }
+    // Reset session state
+    elBuffer = []; elBufferedFrames = 0; totalFramesSent = 0; totalAudioReceived = 0;
+    elOpen = false; elReady = false; elHasSpoken = false; userHasSpoken = false;
+    conversationStarted = false; firstUserInput = true; lastAgentAudioTime = 0;
+    repromptStep = 0; lastCallerActivity = Date.now(); lastRepromptAt = 0;
+    resetUtterance();
+    clearInterval(repromptInterval);
+    if (policy.reprompt.length) repromptInterval = setInterval(checkReprompt, 500);
+    if (tenant.features.keypad) keypad = createDigitCollector({ ...policy.dtmf, onEntry: forwardKeypadEntry, onBinding: runKeyBinding });
 
-      try {
-        const audioBytes = Buffer.from(muLawB64, 'base64');
-        elBuffer.push(audioBytes);
-        elBufferedFrames += 1;
+    if (LOOPBACK_ONLY) { log('MODE','Loopback mode – no EL connection'); return; }
+    if (!tenant.apiKey) { log('ERROR', `No ElevenLabs API key for tenant ${tenant.id}`); return; }
+    if (!agentId) { log('ERROR', `No agent ID for mode=${mode}`); return; }
 
-        if (totalAudioReceived <= 10) {
-          log('AUDIO', `Buffered frame ${totalAudioReceived}`, { bytes: audioBytes.length, speaking, elReady, bufferFrames: elBufferedFrames });
-        }
-        if (elBufferedFrames >= Math.max(1, Math.round(EL_BUFFER_MS / 20)) && elOpen) {
-          flushElBuffer('immediate');
-        }
-      } catch (e) { log('ERROR','Failed to buffer audio', { error:e.message }); }
+    connectToElevenLabs(agentId, phone, sessionId, profileReady);
+  }
 
-      if (LOOPBACK_ONLY) sendAudioToTwilio(muLawB64);
+  // One 20 ms μ-law 8k caller frame
+  function handleAudio(audioBytes) {
+    if (!authed || !admitted) return;
+    if (recorder) recorder.writeCaller(audioBytes);
+
+    totalAudioReceived++;
+    M.frames.inc({ direction: 'inbound' });
+
+    const v = vad.process(audioBytes);
+
+    const now = Date.now();
+    const sinceAgent = now - (lastAgentAudioTime || 0);
+    if (v.speech && !speaking && (sinceAgent > 500 || !elHasSpoken || !elOpen)) {
+      speaking = true; userHasSpoken = true; repeatFresh = true;
+      turnSpan = tracing.startSpan('call.turn', { 'turn.started_after_ms': now - startedAt }, callSpan);
+      repromptStep = 0; lastCallerActivity = now;
+      log('VAD', 'User started speaking', {
+        totalFrames: totalAudioReceived, sinceAgent, elHasSpoken, elOpen,
+        energyDb: +v.energyDb.toFixed(1), noiseFloorDb: +v.noiseFloorDb.toFixed(1)
+      });
 
-      if (speaking) {
-        clearTimeout(silenceTimer);
-        silenceTimer = setTimeout(() => { log('VAD','Silence -> end'); endUserTurn('silence'); }, SILENCE_MS);
+      if (elWs && elOpen) {
+        try { elWs.send(JSON.stringify({ type: "user_audio_start" })); log('EL_SEND','user_audio_start'); }
+        catch (e) { log('ERROR','user_audio_start failed',{ error:e.message }); }
       }
-      return;
+      clearTimeout(utterCapTimer);
+      utterCapTimer = setTimeout(() => { log('VAD','Hard cap -> end'); endUserTurn('hard_cap'); }, tenant.tuning.utterMaxMs);
     }
 
-    if (event === 'mark') {
-      if (LOG_MARK_ACKS) log('TWILIO','Mark ack',{ mark: msg.mark });
-      return;
-    }
+    try {
+      elBuffer.push(audioBytes);
+      elBufferedFrames += 1;
+      if (!elOpen && elBufferedFrames > EL_RECONNECT_BUFFER_FRAMES) {
+        // Bounded while EL is down: keep only the most recent caller audio
+        const drop = elBufferedFrames - EL_RECONNECT_BUFFER_FRAMES;
+        elBuffer.splice(0, drop);
+        elBufferedFrames -= drop;
+      }
 
-    if (event === 'stop') {
-      log('TWILIO','Stop received');
-      flushElBuffer('stop');
-      if (elWs && elOpen) {
-        try { elWs.send(JSON.stringify({ type: "user_audio_end" })); log('EL_SEND','Final user_audio_end'); } catch {}
-        try {
-          elWs.send(JSON.stringify({ type:"user_message", user_message:{ message:"(Call ended)" } }));
-          log('EL_SEND','Call end msg');
-        } catch {}
+      if (totalAudioReceived <= 10) {
+        log('AUDIO', `Buffered frame ${totalAudioReceived}`, { bytes: audioBytes.length, speaking, elReady, bufferFrames: elBufferedFrames });
       }
-      cleanup(); try { twilioWs.close(1000); } catch {}
-      return;
+      if (elBufferedFrames >= bufferFrames && elOpen) {
+        flushElBuffer('immediate');
+      }
+    } catch (e) { log('ERROR','Failed to buffer audio', { error:e.message }); }
+
+    if (LOOPBACK_ONLY) playout.enqueue(audioBytes);
+
+    if (v.event === 'end' && speaking) {
+      lastCallerActivity = now;
+      log('VAD','Silence -> end', { noiseFloorDb: +v.noiseFloorDb.toFixed(1) });
+      endUserTurn('silence');
     }
+  }
 
-    log('TWILIO','Unhandled event',{ event });
-  });
+  function handleMark(name) {
+    const ack = playout.onMark(name);
+    if (LOG_MARK_ACKS) log(transport.category, 'Mark ack', { mark: name, ...(ack || {}) });
+  }
+
+  // Keypad: entries are forwarded per policy.dtmf, bound keys run bridge actions
+  function handleDtmf(key) {
+    if (!authed || !admitted || !keypad) return;
+    if (!keypad.push(key)) { log('WARN', 'Unknown DTMF key', { key: String(key).slice(0, 8) }); return; }
+    repromptStep = 0; lastCallerActivity = Date.now();
+  }
+
+  // Digits can be account numbers or PINs: logged by length only
+  function forwardKeypadEntry(digits, reason) {
+    M.dtmf.inc({ kind: 'entry' });
+    log('DTMF', 'Entry', { length: digits.length, reason });
+    const { send, text } = policy.dtmf;
+    if (send !== 'none') sendInjected(send, text.replace(/\{digits\}/g, digits), 'dtmf');
+  }
+
+  function runKeyBinding(key, binding) {
+    const kind = binding.action || binding.send;
+    M.dtmf.inc({ kind });
+    log('DTMF', `Key ${key} -> ${kind}`);
+    if (binding.action === 'hangup') return hangup('dtmf-hangup');
+    if (binding.action === 'repeat') return repeatLastUtterance();
+    if (binding.action === 'transfer') return transferFromKeypad(key, binding.target || 'default');
+    sendInjected(binding.send, binding.text, `dtmf:${key}`);
+  }
+
+  // Replays the agent's last utterance from the bridge; asks the agent when nothing is buffered
+  function repeatLastUtterance() {
+    if (!repeatBuffer.length) { sendInjected('user_message', 'Please repeat what you just said.', 'dtmf:repeat'); return; }
+    if (playout.queuedFrames || Date.now() < playout.playingUntil) playout.interrupt();
+    playout.enqueue(Buffer.concat(repeatBuffer));
+  }
+
+  async function transferFromKeypad(key, target) {
+    const reply = await tools.run({ tool_name: 'transfer_call', tool_call_id: `dtmf-${key}`, parameters: { target, reason: `caller pressed ${key}` } }, toolCtx);
+    if (!reply.is_error) { log('SESSION', 'Transferred from keypad', { target }); return; }
+    log('WARN', 'Keypad transfer failed', { target, error: reply.result });
+    sendInjected('contextual_update', `The caller pressed ${key} to reach a person, but a transfer is not available right now. Apologise briefly and keep helping them.`, `dtmf:${key}`);
+  }
+
+  function handleStop() {
+    log(transport.category, 'Stop received');
+    endWith('caller_stop');
+    flushElBuffer('stop');
+    if (elWs && elOpen) {
+      try { elWs.send(JSON.stringify({ type: "user_audio_end" })); log('EL_SEND','Final user_audio_end'); } catch {}
+      sendInjected('user_message', '(Call ended)', 'bridge:call_ended');
+    }
+    cleanup(); transport.close(1000);
+  }
 
   function endUserTurn(reason) {
     log('VAD', `End user turn: ${reason}`);
+    endTurnSpan({ 'turn.end_reason': reason });
+    M.turnEnds.inc({ reason });
     flushElBuffer(`end_${reason}`);
 
     if (elWs && elOpen) {
       try { elWs.send(JSON.stringify({ type:"user_audio_end" })); log('EL_SEND',`user_audio_end (${reason})`); } catch (e){}
       setTimeout(() => { if (elWs && elOpen) { try { elWs.send(JSON.stringify({ type:"user_audio_end" })); log('EL_SEND','user_audio_end re-sent'); } catch {} } }, 150);
-      setTimeout(() => { if (elWs && elOpen) { try {
-        elWs.send(JSON.stringify({ type:"user_message", user_message:{ message:"(User finished speaking - please respond)" } }));
-        log('EL_SEND','Processing nudge');
-      } catch {} } }, 250);
+      if (policy.turnEndNudge) {
+        setTimeout(() => { if (sendInjected('user_message', policy.turnEndText, 'policy:turn_end')) { M.nudges.inc({ nudge: 'turn_end' }); nudgeCount++; } }, 250);
+      }
     }
     resetUtterance();
   }
 
-  function sendAudioToTwilio(audioB64) {
-    if (!twilioStreamSid) return;
-    try {
-      const mediaMessage = {
-        event: 'media',
-        streamSid: twilioStreamSid,
-        sequenceNumber: String(++seq),
-        media: { track:'outbound', chunk:String(++chunk), timestamp:String(tsMs), payload: audioB64 }
-      };
-      const markMessage = { event:'mark', streamSid: twilioStreamSid, mark:{ name:`maggie-chunk-${chunk}` } };
-      twilioWs.send(JSON.stringify(mediaMessage));
-      twilioWs.send(JSON.stringify(markMessage));
-      tsMs += 20;
-      if (LOG_FRAMES_EVERY > 0 && (seq % LOG_FRAMES_EVERY === 0)) {
-        log('TWILIO_SEND','Audio frame sent',{ seq, chunk, tsMs, bytes: Buffer.from(audioB64,'base64').length });
-      }
-    } catch (e) { log('ERROR','Send audio to Twilio failed',{ error:e.message }); }
+  // First-message schedule; each step is skipped once the agent has spoken
+  function startFirstMessage() {
+    firstMessageTimers.forEach(clearTimeout);
+    firstMessageTimers = policy.firstMessage.schedule.map((step, i) => setTimeout(() => {
+      if (elHasSpoken) return;
+      if (sendInjected(step.send, step.text, 'policy:first_message')) { M.nudges.inc({ nudge: String(i + 1) }); nudgeCount++; }
+    }, step.afterMs));
+  }
+
+  // Silence reprompts: each step waits afterMs past the last caller speech, agent audio or reprompt.
+  // Caller speech restarts the schedule.
+  function checkReprompt() {
+    const step = policy.reprompt[repromptStep];
+    if (!step || sessionClosed || speaking || !elOpen || !(elHasSpoken || userHasSpoken)) return;
+    const quietSince = Math.max(lastCallerActivity, lastAgentAudioTime, lastRepromptAt, playout.playingUntil);
+    if (Date.now() - quietSince < step.afterMs) return;
+    repromptStep++;
+    lastRepromptAt = Date.now();
+    M.nudges.inc({ nudge: `reprompt_${repromptStep}` });
+    nudgeCount++;
+    if (step.action === 'hangup') {
+      log('SESSION', 'Caller silent; hanging up', { step: repromptStep });
+      endWith('silence_timeout');
+      hangupAfterPlayout('silence-timeout');
+      return;
+    }
+    sendInjected(step.send, step.text, 'policy:reprompt');
+  }
+
+  function sendAudioToCaller(frame) {
+    if (!streamSid) return;
+    transport.sendAudio(frame);
+    if (recorder) recorder.writeAgent(frame);
+    M.frames.inc({ direction: 'outbound' });
   }
 
   // ---------- ElevenLabs connection (signed URL -> /convai/twilio fallback)
@@ -389,57 +1123,100 @@ function attachBridgeHandlers(twilioWs, query = {}) {
     return null;
   }
 
-  async function connectToElevenLabs(agentId, phone, sessionId, profile_json) {
-    const headers = { 'xi-api-key': ELEVENLABS_API_KEY };
-
-    async function getSignedUrl() {
-      const r = await fetch(
-        `https://api.elevenlabs.io/v1/convai/conversation/get_signed_url?agent_id=${encodeURIComponent(agentId)}`,
-        { headers }
-      );
-      if (!r.ok) throw new Error(`get_signed_url ${r.status}`);
-      const { signed_url } = await r.json();
-      return signed_url;
-    }
-
-    function openWs(endpoint) {
-      return new Promise((resolve, reject) => {
-        const ws = new WebSocket(endpoint, { headers });
-        ws.once('open', () => resolve(ws));
-        ws.once('error', reject);
-      });
-    }
-
+  // Signed URL (pooled when possible) -> socket, else /convai/twilio. The first connect's phases feed `setup`.
+  // `t` is the session's tenant, or the upgrade query's for an early connect.
+  async function openElSocket(agentId, t = tenant) {
+    const t0 = Date.now();
+    const first = !setup.wsOpen;
+    const span = tracing.startSpan('el.connect', { 'elevenlabs.agent_id': agentId, 'el.reconnect_attempt': reconnectAttempts }, callSpan);
     try {
-      const signedUrl = await getSignedUrl();
-      elWs = await openWs(signedUrl);
-      elOpen = true;
-      log('EL_CONNECT','Connected via signed URL');
+      let ws = null, via = 'pool';
+      const pooled = t.urlPool.take(agentId);
+      if (pooled) {
+        try { ws = await openElWs(pooled, t.apiKey); }
+        catch (e) { log('EL_CONNECT', `Pooled signed URL failed (${e.message}); fetching a fresh one`); }
+      }
+      if (!ws) {
+        via = 'fetch';
+        const tFetch = Date.now();
+        const signedUrl = await fetchSignedUrl(t.apiKey, agentId);
+        if (first) setup.signedUrlFetchMs = Date.now() - tFetch;
+        ws = await openElWs(signedUrl, t.apiKey);
+      }
+      M.elConnect.observe({ via: 'signed_url' }, (Date.now() - t0) / 1000);
+      span.end({ 'el.via': 'signed_url', 'el.signed_url': via });
+      if (first) { setup.signedUrl = via; setup.connectMs = Date.now() - t0; markSetup('wsOpen'); }
+      log('EL_CONNECT', 'Connected via signed URL', { signedUrl: via, ms: Date.now() - t0 });
+      return ws;
     } catch (e) {
+      M.elConnectFailures.inc({ via: 'signed_url' });
       log('EL_CONNECT', `Signed URL failed (${e.message}), fallback to /convai/twilio`);
       try {
-        elWs = await openWs(`wss://api.elevenlabs.io/v1/convai/twilio?agent_id=${encodeURIComponent(agentId)}`);
-        elOpen = true;
+        const ws = await openElWs(`${ELEVENLABS_WS_BASE}/v1/convai/twilio?agent_id=${encodeURIComponent(agentId)}`, t.apiKey);
+        M.elConnect.observe({ via: 'fallback' }, (Date.now() - t0) / 1000);
+        span.end({ 'el.via': 'fallback' });
+        if (first) { setup.signedUrl = 'fallback'; setup.connectMs = Date.now() - t0; markSetup('wsOpen'); }
         log('EL_CONNECT','Connected via /convai/twilio');
+        return ws;
       } catch (e2) {
-        log('ERROR', `EL connect failed: ${e2.message}`);
-        return;
+        M.elConnectFailures.inc({ via: 'fallback' });
+        span.fail(e2);
+        span.end();
+        throw e2;
       }
     }
+  }
 
-    // ---- NEW: optimistic readiness if metadata is late
-    clearTimeout(mdTimer);
-    mdTimer = setTimeout(() => {
-      if (!elReady) {
-        elReady = true; // optimistic
-        log('EL_CONNECT','No metadata; proceeding optimistically',{ EL_READY_FALLBACK_MS });
-        try { elWs.send(JSON.stringify({ type: "conversation_start" })); } catch {}
-        if (elBufferedFrames > 0) flushElBuffer('md-timeout');
-      }
-    }, Math.max(200, EL_READY_FALLBACK_MS));
+  // Upgrade query (tenant, mode, agent_id, to, caller_phone/from, token) names the agent: connect before 'start'.
+  // Twilio <Stream> URLs carry no query string, so Twilio calls get only the URL pool; PCM clients can send both.
+  function connectEarly() {
+    if (LOOPBACK_ONLY) return;
+    const picked = tenants.resolve({ tenantId: query.tenant, token: query.token });
+    if (!picked.ok) return;
+    const t = picked.tenant;
+    if (!t.features.earlyConnect || !t.apiKey) return;
+    let claims = null;
+    if (t.authRequired) {
+      if (!query.token) return; // never open agent sockets for unauthenticated clients
+      claims = checkStreamToken(t, query.token).claims; // verified at upgrade
+    }
+    if (!query.mode && !query.agent_id && !claims?.mode && !claims?.agent) return;
+    const hintMode = String(claims?.mode || query.mode || 'discovery').toLowerCase();
+    const routed = t.routing.resolve({ mode: hintMode, to: query.to || '', from: query.caller_phone || query.from || '', requestedAgentId: claims?.agent ? null : query.agent_id || null });
+    const hintAgent = claims?.agent || (routed ? routed.agentId : null);
+    if (!hintAgent) return;
+    // Hold a concurrency slot for the pre-warmed socket; at capacity, wait for 'start' and admission
+    const reservation = limiter.reserve({ agentId: hintAgent });
+    if (!reservation.ok) { log('EL_CONNECT', `Early connect skipped: ${reservation.reason}`); return; }
+    markSetup('connectStart');
+    setup.early = true;
+    early = { tenant: t, agentId: hintAgent, socket: openElSocket(hintAgent, t), release: reservation.release };
+    early.socket.catch(() => {});
+    log('EL_CONNECT', 'Early connect from upgrade query', { tenant: t.id, mode: hintMode, route: routed ? routed.route : null });
+  }
+
+  function discardEarly(reason) {
+    if (!early) return;
+    early.release();
+    early.socket.then(ws => { try { ws.close(1000); } catch {} }, () => {});
+    log('EL_CONNECT', `Early connection discarded (${reason})`);
+    early = null;
+  }
 
-    // --- INIT: include dynamic_variables.profile when provided
+  async function connectToElevenLabs(agentId, phone, sessionId, profileReady) {
+    // Early socket if it is for this tenant and agent, else a new one; in parallel with the profile.
+    // The no-op catch keeps an early connect failure from going unhandled.
+    if (early && early.tenant !== tenant) discardEarly('tenant changed at start');
+    if (early && early.agentId !== agentId) discardEarly('agent changed at start');
+    if (!early) markSetup('connectStart');
+    const firstSocket = early ? early.socket : openElSocket(agentId);
+    early = null;
+    firstSocket.catch(() => {});
+    const profile_json = await profileReady;
+
+    // --- INIT: include dynamic_variables.profile when provided (reused on reconnect)
     const dynamicVars = {
+      ...routeVars, // per-route defaults; call-specific values below win
       caller_phone: phone || "",
       mode,
       session_id: sessionId,
@@ -448,144 +1225,281 @@ function attachBridgeHandlers(twilioWs, query = {}) {
     if (profile_json) dynamicVars.profile = profile_json;
 
     try {
-      elWs.send(JSON.stringify({
-        type: "conversation_initiation_client_data",
-        conversation_initiation_client_data: { dynamic_variables: dynamicVars }
-      }));
-      log('EL_SEND','Init data sent', { phone, mode, hasProfile: !!profile_json });
-    } catch (e) { log('ERROR','Init send failed', { error:e.message }); }
-
-    elWs.on('message', (data) => {
-      let message; try { message = JSON.parse(data.toString()); }
-      catch { log('EL_RECV','Non-JSON msg',{ sample: String(data).slice(0,120)}); return; }
-
-      if (message?.type === 'ping' && message.ping_event?.event_id) {
-        try { elWs.send(JSON.stringify({ type:'pong', event_id: message.ping_event.event_id })); log('EL_SEND','Pong',{ eventId: message.ping_event.event_id }); } catch (e) { log('ERROR','Pong failed',{ error:e.message }); }
-        return;
-      }
+      const ws = await firstSocket;
+      if (sessionClosed) { try { ws.close(1000); } catch {} return; }
+      if (ws.readyState !== WebSocket.OPEN) throw new Error('socket closed before init');
+      attachElSocket(ws);
+    } catch (e) {
+      log('ERROR', `EL connect failed: ${e.message}`);
+      scheduleReconnect('initial_connect_failed');
+    }
 
-      if (message?.type === 'interruption' && twilioStreamSid) {
-        try { twilioWs.send(JSON.stringify({ event:'clear', streamSid: twilioStreamSid })); log('EL_RECV','Interruption -> clear'); } catch {}
-      }
+    // ---------- Reconnect supervisor: backoff, resume with recap, give up after N
 
-      if (message?.type === 'conversation_initiation_metadata') {
-        clearTimeout(mdTimer);
-        const md = message.conversation_initiation_metadata_event || {};
-        elInFormat = md.user_input_audio_format;
-        elOutFormat = md.agent_output_audio_format;
-        elReady = true; conversationStarted = true;
-        log('EL_RECV','Metadata',{ elInFormat, elOutFormat });
-        if (elBufferedFrames > 0) flushElBuffer('metadata_ready');
+    function scheduleReconnect(reason) {
+      if (sessionClosed || reconnectTimer) return;
+      if (reconnectAttempts >= EL_RECONNECT_MAX) {
+        M.elReconnects.inc({ outcome: 'gave_up' });
+        endWith('el_unavailable');
+        log('ERROR', 'EL reconnect gave up', { attempts: reconnectAttempts, reason });
+        transport.close(1000, 'el-unavailable');
         return;
       }
+      const attempt = ++reconnectAttempts;
+      const backoff = Math.min(EL_RECONNECT_MAX_DELAY_MS, EL_RECONNECT_BASE_MS * 2 ** (attempt - 1));
+      const delay = Math.round(backoff * (0.8 + Math.random() * 0.4));
+      if (attempt === 1) playHoldPrompt();
+      log('EL_RECONNECT', `Attempt ${attempt}/${EL_RECONNECT_MAX} in ${delay}ms`, { reason });
+
+      reconnectTimer = setTimeout(async () => {
+        reconnectTimer = null;
+        if (sessionClosed) return;
+        let ws;
+        try { ws = await openElSocket(agentId); }
+        catch (e) {
+          M.elReconnects.inc({ outcome: 'failed' });
+          log('ERROR', `EL reconnect failed: ${e.message}`, { attempt });
+          return scheduleReconnect('connect_failed');
+        }
+        if (sessionClosed) { try { ws.close(1000); } catch {} return; }
+        const resumed = attachElSocket(ws);
+        stopHoldPrompt();
+        M.elReconnects.inc({ outcome: resumed ? 'resumed' : 'connected' });
+        log('EL_RECONNECT', resumed ? 'Resumed' : 'Connected', { attempt, bufferedMs: elBufferedFrames * 20 });
+        if (elBufferedFrames > 0) flushElBuffer('resume');
+      }, delay);
+    }
+
+    function buildRecap() {
+      return recentTurns.map(t => `${t.role === 'agent' ? 'Maggie' : 'Caller'}: ${t.text}`).join('\n');
+    }
+
+    // The first socket to attach starts the conversation (even after failed connects); later ones resume it.
+    // Returns whether this one resumed.
+    function attachElSocket(ws) {
+      const resumed = elAttached;
+      elAttached = true;
+      elWs = ws; elOpen = true; elReady = false; conversationStarted = false;
+      inConv = null; outConv = null;
+      let agentSpoke = false; // on this socket; a socket that only opens and drops doesn't reset reconnectAttempts
+
+      // ---- NEW: optimistic readiness if metadata is late
+      clearTimeout(mdTimer);
+      mdTimer = setTimeout(() => {
+        if (!elReady && elWs === ws) {
+          elReady = true; // optimistic
+          M.elReady.inc({ via: 'fallback' });
+          log('EL_CONNECT','No metadata; proceeding optimistically',{ elReadyFallbackMs: tenant.tuning.elReadyFallbackMs });
+          try { elWs.send(JSON.stringify({ type: "conversation_start" })); } catch {}
+          if (elBufferedFrames > 0) flushElBuffer('md-timeout');
+        }
+      }, Math.max(200, tenant.tuning.elReadyFallbackMs));
+
+      const recap = resumed ? buildRecap() : '';
+      const vars = resumed ? { ...dynamicVars, resumed: true, resume_recap: recap } : dynamicVars;
+      try {
+        elWs.send(JSON.stringify({
+          type: "conversation_initiation_client_data",
+          conversation_initiation_client_data: { dynamic_variables: vars }
+        }));
+        log('EL_SEND','Init data sent', { phone, mode, hasProfile: !!profile_json, resumed, recapTurns: resumed ? recentTurns.length : 0 });
+        markSetup('initSent');
+        if (recap) {
+          elWs.send(JSON.stringify({
+            type: "contextual_update",
+            text: `The call connection dropped briefly and has been restored. Continue naturally from here. Recent conversation:\n${recap}`
+          }));
+        }
+      } catch (e) { log('ERROR','Init send failed', { error:e.message }); }
+
+      elWs.on('message', (data) => {
+        let message; try { message = JSON.parse(data.toString()); }
+        catch { log('EL_RECV','Non-JSON msg',{ sample: String(data).slice(0,120)}); return; }
+
+        if (message?.type === 'ping' && message.ping_event?.event_id) {
+          try { elWs.send(JSON.stringify({ type:'pong', event_id: message.ping_event.event_id })); log.debug('EL_SEND','Pong',{ eventId: message.ping_event.event_id }); } catch (e) { log('ERROR','Pong failed',{ error:e.message }); }
+          return;
+        }
+
+        if (message?.type === 'interruption' && streamSid) {
+          const cut = playout.interrupt();
+          log('EL_RECV','Interruption -> clear', cut);
+        }
 
-      const b64 = pickElAudioB64(message);
-      if (b64) {
-        if (!elHasSpoken) {
-          elHasSpoken = true;
-          clearTimeout(nudge1); clearTimeout(nudge2); clearTimeout(nudge3);
-          log('EL_RECV','First audio from agent');
+        if (message?.type === 'client_tool_call') {
+          handleToolCall(message.client_tool_call);
+          return;
         }
-        lastAgentAudioTime = Date.now();
-        resetUtterance();
-
-        let outBuf = Buffer.from(b64, 'base64');
-        if (elOutFormat && /ulaw_?8000/i.test(elOutFormat)) {
-          for (let o = 0; o < outBuf.length; o += 160) {
-            const slice = outBuf.subarray(o, Math.min(o + 160, outBuf.length));
-            sendAudioToTwilio(slice.toString('base64'));
+
+        if (message?.type === 'conversation_initiation_metadata') {
+          clearTimeout(mdTimer);
+          const md = message.conversation_initiation_metadata_event || {};
+          if (md.conversation_id) elConversationIds.push(md.conversation_id);
+          elInFormat = md.user_input_audio_format;
+          elOutFormat = md.agent_output_audio_format;
+          inConv = createInputConverter(elInFormat);
+          outConv = createOutputConverter(elOutFormat);
+          elReady = true; conversationStarted = true;
+          M.elReady.inc({ via: 'metadata' });
+          markSetup('metadata');
+          log('EL_RECV','Metadata',{ elInFormat, elOutFormat, inCodec: inConv.format, outCodec: outConv.format });
+          if (elBufferedFrames > 0) flushElBuffer('metadata_ready');
+          return;
+        }
+
+        const b64 = pickElAudioB64(message);
+        if (b64) {
+          if (!agentSpoke) {
+            agentSpoke = true;
+            if (reconnectAttempts) { log('EL_RECONNECT', 'Conversation healthy', { attempts: reconnectAttempts }); reconnectAttempts = 0; }
           }
-        } else {
-          if (elOutFormat && /16k|16000/i.test(elOutFormat)) outBuf = downsamplePcm16Mono16kTo8k(outBuf);
-          const mu = pcm16ToMuLaw(outBuf);
-          for (let o = 0; o < mu.length; o += 160) {
-            const slice = mu.subarray(o, Math.min(o + 160, mu.length));
-            sendAudioToTwilio(slice.toString('base64'));
+          if (!elHasSpoken) {
+            elHasSpoken = true;
+            firstMessageTimers.forEach(clearTimeout);
+            firstAudioAt = Date.now();
+            if (streamStartedAt) M.firstAudio.observe({}, (firstAudioAt - streamStartedAt) / 1000);
+            if (firstAudioSpan) { firstAudioSpan.end({ 'agent.spoke': true }); firstAudioSpan = null; }
+            log('EL_RECV','First audio from agent');
+            markSetup('firstAudio');
+            log('EL_CONNECT', 'Setup phases', setup);
           }
+          if (repeatFresh || Date.now() - lastAgentAudioTime > REPEAT_GAP_MS) { repeatBuffer = []; repeatBytes = 0; repeatFresh = false; }
+          lastAgentAudioTime = Date.now();
+          resetUtterance();
+
+          if (!outConv) outConv = createOutputConverter(elOutFormat); // audio before metadata: EL default format
+          const muLaw = outConv.push(Buffer.from(b64, 'base64'));
+          if (repeatBytes < REPEAT_MAX_BYTES) { repeatBuffer.push(muLaw); repeatBytes += muLaw.length; }
+          playout.enqueue(muLaw);
+          return;
         }
-        return;
-      }
 
-      if (message?.type === 'user_transcript') {
-        log('EL_RECV','User transcript',{ t: message.user_transcription_event?.user_transcript });
-        return;
-      }
-      if (message?.type === 'agent_response') {
-        log('EL_RECV','Agent text',{ r: message.agent_response_event?.agent_response });
-        return;
-      }
-
-      if (message?.error || message?.type === 'error') {
-        log('ERROR','ElevenLabs error message',{ error: message });
-        return;
-      }
+        if (message?.type === 'user_transcript') {
+          const t = message.user_transcription_event?.user_transcript;
+          log('EL_RECV','User transcript',{ transcript: t });
+          const echoed = t ? injectedTexts.indexOf(t.trim()) : -1;
+          if (echoed >= 0) { injectedTexts.splice(echoed, 1); return; } // already stored as injected
+          recordTurn('user', t);
+          rememberTurn('user', t);
+          return;
+        }
+        if (message?.type === 'agent_response') {
+          log('EL_RECV','Agent text',{ transcript: message.agent_response_event?.agent_response });
+          recordTurn('agent', message.agent_response_event?.agent_response);
+          rememberTurn('agent', message.agent_response_event?.agent_response);
+          return;
+        }
 
-      log('EL_RECV','Unhandled',{ type: message?.type, keys: Object.keys(message || {}) });
-    });
+        if (message?.error || message?.type === 'error') {
+          log('ERROR','ElevenLabs error message',{ error: message });
+          return;
+        }
 
-    elWs.on('close', (code, reason) => {
-      elOpen = false; elReady = false;
-      clearTimeout(mdTimer);
-      log('EL_CONNECT','Closed',{ code, reason: reason?.toString() || '' });
-    });
+        log('EL_RECV','Unhandled',{ type: message?.type, keys: Object.keys(message || {}) });
+      });
 
-    elWs.on('error', (e) => log('ERROR','EL socket error',{ err: e.message }));
+      elWs.on('close', (code, reason) => {
+        if (ws !== elWs) return; // superseded socket
+        elOpen = false; elReady = false;
+        clearTimeout(mdTimer);
+        log('EL_CONNECT','Closed',{ code, reason: reason?.toString() || '' });
+        if (sessionClosed) return;
+        if (code === 1000) {
+          // Agent ended the conversation (or EL hit its max duration): finish its last words, then hang up
+          log('EL_CONNECT','Conversation ended by EL; not reconnecting');
+          endWith('el_closed');
+          hangupAfterPlayout('el-closed');
+          return;
+        }
+        scheduleReconnect(`close_${code}`);
+      });
 
-    // Existing "start talking" nudges (kept)
-    nudge1 = setTimeout(() => {
-      if (!elHasSpoken && elWs && elOpen) {
-        try { elWs.send(JSON.stringify({ type:"user_message", user_message:{ message:"Hello" } })); log('EL_SEND','Nudge1'); } catch {}
-      }
-    }, 2000);
-    nudge2 = setTimeout(() => {
-      if (!elHasSpoken && elWs && elOpen) {
-        try { elWs.send(JSON.stringify({ type:"user_message", user_message:{ message:"Please start the conversation" } })); log('EL_SEND','Nudge2'); } catch {}
-      }
-    }, 4000);
-    nudge3 = setTimeout(() => {
-      if (!elHasSpoken && elWs && elOpen) {
-        try { elWs.send(JSON.stringify({ type:"conversation_start" })); log('EL_SEND','Nudge3 conversation_start'); } catch {}
-      }
-    }, 6000);
+      elWs.on('error', (e) => log('ERROR','EL socket error',{ err: e.message }));
+      ws.resume();
+      if (!resumed) startFirstMessage();
+      return resumed;
+    }
   }
-}
 
-// ================== Audio utils ==================
+  // Hold prompt while EL reconnects (raw μ-law 8k from EL_HOLD_AUDIO_PATH)
+  function playHoldPrompt() {
+    if (!HOLD_AUDIO || !streamSid) return;
+    playout.enqueue(HOLD_AUDIO);
+    holdPlaying = true;
+    log('EL_RECONNECT','Hold prompt queued', { ms: Math.round(HOLD_AUDIO.length / 8) });
+  }
 
-function pcm16ToMuLaw(pcmBuffer) {
-  const view = new DataView(pcmBuffer.buffer, pcmBuffer.byteOffset, pcmBuffer.byteLength);
-  const out = Buffer.alloc(Math.floor(pcmBuffer.byteLength / 2));
-  for (let i = 0, j = 0; i < pcmBuffer.byteLength; i += 2, j++) {
-    const s = view.getInt16(i, true);
-    out[j] = linear2ulaw(s);
+  function stopHoldPrompt() {
+    if (!holdPlaying) return;
+    holdPlaying = false;
+    playout.interrupt();
   }
-  return out;
 }
-function linear2ulaw(sample) {
-  const MULAW_MAX = 0x1FFF, MULAW_BIAS = 0x84;
-  let sign = (sample >> 8) & 0x80;
-  if (sign !== 0) sample = -sample;
-  if (sample > MULAW_MAX) sample = MULAW_MAX;
-  sample = sample + MULAW_BIAS;
-  const exponent = ulawExp(sample);
-  const mantissa = (sample >> (exponent + 3)) & 0x0F;
-  let ulawbyte = ~(sign | (exponent << 4) | mantissa);
-  return ulawbyte & 0xFF;
+
+// ================== ElevenLabs ==================
+
+// apiKey is always the calling tenant's (lib/tenants.js)
+async function fetchSignedUrl(apiKey, agentId) {
+  const r = await fetch(
+    `${ELEVENLABS_API_BASE}/v1/convai/conversation/get_signed_url?agent_id=${encodeURIComponent(agentId)}`,
+    { headers: { 'xi-api-key': apiKey } }
+  );
+  if (!r.ok) throw new Error(`get_signed_url ${r.status}`);
+  const { signed_url } = await r.json();
+  return signed_url;
 }
-function ulawExp(sample) {
-  if (sample >= 256) { if (sample >= 512) { if (sample >= 1024) { if (sample >= 2048) return 7; return 6; } return 5; } if (sample >= 128) return 4; return 3; }
-  if (sample >= 64) return 2; if (sample >= 32) return 1; return 0;
+
+function openElWs(endpoint, apiKey) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(endpoint, { headers: { 'xi-api-key': apiKey } });
+    // Paused until attachElSocket() has its handlers on, so early messages aren't lost.
+    // An early-connect socket can sit here a while: keep a late error from going unhandled.
+    ws.once('open', () => { ws.pause(); ws.on('error', () => {}); resolve(ws); });
+    ws.once('error', reject);
+  });
 }
-function downsamplePcm16Mono16kTo8k(pcm16Buffer) {
-  const input16 = new Int16Array(pcm16Buffer.buffer, pcm16Buffer.byteOffset, Math.floor(pcm16Buffer.byteLength / 2));
-  const outputLength = Math.floor(input16.length / 2);
-  const output16 = new Int16Array(outputLength);
-  for (let i = 0, j = 0; j < outputLength; i += 2, j++) output16[j] = input16[i];
-  return Buffer.from(output16.buffer);
+
+// ================== Audio utils ==================
+
+// Raw μ-law 8k, or a μ-law WAV (header stripped to its data chunk)
+function loadPromptAudio(filePath) {
+  if (!filePath) return null;
+  try {
+    const buf = require('fs').readFileSync(filePath);
+    if (buf.subarray(0, 4).toString('ascii') !== 'RIFF') return buf;
+    const dataAt = buf.indexOf('data', 12, 'ascii');
+    return dataAt < 0 ? null : buf.subarray(dataAt + 8, dataAt + 8 + buf.readUInt32LE(dataAt + 4));
+  } catch (e) {
+    logger.warn('CONFIG', `Prompt audio ${filePath} unreadable: ${e.message}`);
+    return null;
+  }
 }
 
 // ================== Misc ==================
 
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
 function generateSessionId() { return Math.random().toString(36).slice(2, 10); }
 
-console.log('[STARTUP] MeetMaggie Voice Bridge ready');
+function isTruthy(v) { return ['1', 'true', 'yes', 'on'].includes(String(v).trim().toLowerCase()); }
+
+function sendJson(res, status, obj) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(obj));
+}
+
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', c => {
+      size += c.length;
+      if (size > limit) { reject(new Error('body too large')); req.destroy(); return; }
+      chunks.push(c);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+logger('STARTUP', 'MeetMaggie Voice Bridge ready');